@@ -2,6 +2,20 @@ const express = require("express")
 // routers
 const productsRouter = require('./src/routes/products.route');
 const loginRouter = require('./src/routes/login.route');
+const sessionRouter = require('./src/routes/session.route');
+const passwordRouter = require('./src/routes/password.route');
+const verificationRouter = require('./src/routes/verification.route');
+const meRouter = require('./src/routes/me.route');
+const addressRouter = require('./src/routes/address.route');
+const twoFactorRouter = require('./src/routes/twoFactor.route');
+const cartRouter = require('./src/routes/cart.route');
+const orderRouter = require('./src/routes/order.route');
+const paymentRouter = require('./src/routes/payment.route');
+const returnRouter = require('./src/routes/return.route');
+const wishlistRouter = require('./src/routes/wishlist.route');
+const shippingRouter = require('./src/routes/shipping.route');
+const currencyRouter = require('./src/routes/currency.route');
+const adminRouter = require('./src/routes/admin.route');
 const categoriesRouter = require('./src/routes/category.route');
 const brandRouter = require('./src/routes/brand.route');
 const imgRouter = require('./src/routes/img.route');
@@ -14,11 +28,33 @@ const app = express();
 
 const PORT = process.env.PORT || 3000;
 
+// Vercel sits in front of the app; trust its X-Forwarded-For so req.ip is the client address
+app.set('trust proxy', 1);
+
 app.use(cors());
-app.use(express.json());
+// Keep the raw body around: payment webhooks are signed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use("/docs", express.static('/docs'));
 
 app.use('/', loginRouter);
+app.use('/', sessionRouter);
+app.use('/password', passwordRouter);
+app.use('/', verificationRouter);
+app.use('/me/addresses', addressRouter);
+app.use('/me/2fa', twoFactorRouter);
+app.use('/me', meRouter);
+app.use('/cart', cartRouter);
+app.use('/orders', orderRouter);
+app.use('/payments', paymentRouter);
+app.use('/returns', returnRouter);
+app.use('/wishlists', wishlistRouter);
+app.use('/shipping', shippingRouter);
+app.use('/currencies', currencyRouter);
+app.use('/admin', adminRouter);
 app.use('/products', productsRouter);
 app.use('/categories', categoriesRouter);
 app.use('/brands', brandRouter);
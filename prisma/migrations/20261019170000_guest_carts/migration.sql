@@ -0,0 +1,31 @@
+-- DropForeignKey
+ALTER TABLE "Cart" DROP CONSTRAINT "Cart_userId_fkey";
+
+-- AlterTable
+ALTER TABLE "Cart" ADD COLUMN     "guestCartId" INTEGER,
+ALTER COLUMN "userId" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "stock" INTEGER;
+
+-- CreateTable
+CREATE TABLE "GuestCart" (
+    "id" SERIAL NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GuestCart_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuestCart_tokenHash_key" ON "GuestCart"("tokenHash");
+
+-- AddForeignKey
+ALTER TABLE "Cart" ADD CONSTRAINT "Cart_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Cart" ADD CONSTRAINT "Cart_guestCartId_fkey" FOREIGN KEY ("guestCartId") REFERENCES "GuestCart"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Not expressible in the Prisma schema: every cart row has exactly one owner
+ALTER TABLE "Cart" ADD CONSTRAINT "Cart_single_owner_check" CHECK (("userId" IS NULL) <> ("guestCartId" IS NULL));
@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "eReturnStatus" AS ENUM ('REQUESTED', 'APPROVED', 'REJECTED', 'RECEIVED', 'REFUNDED');
+
+-- CreateEnum
+CREATE TYPE "eReturnReason" AS ENUM ('DAMAGED', 'DEFECTIVE', 'WRONG_ITEM', 'NOT_AS_DESCRIBED', 'SIZE_OR_FIT', 'CHANGED_MIND', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "ReturnRequest" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "status" "eReturnStatus" NOT NULL DEFAULT 'REQUESTED',
+    "comment" TEXT,
+    "adminNote" TEXT,
+    "refundAmount" DOUBLE PRECISION,
+    "refundRef" TEXT,
+    "decidedAt" TIMESTAMP(3),
+    "receivedAt" TIMESTAMP(3),
+    "refundedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReturnRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReturnItem" (
+    "id" SERIAL NOT NULL,
+    "returnRequestId" INTEGER NOT NULL,
+    "orderItemId" INTEGER NOT NULL,
+    "count" INTEGER NOT NULL,
+    "reason" "eReturnReason" NOT NULL,
+
+    CONSTRAINT "ReturnItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReturnRequest_orderId_idx" ON "ReturnRequest"("orderId");
+
+-- CreateIndex
+CREATE INDEX "ReturnRequest_userId_idx" ON "ReturnRequest"("userId");
+
+-- CreateIndex
+CREATE INDEX "ReturnItem_returnRequestId_idx" ON "ReturnItem"("returnRequestId");
+
+-- CreateIndex
+CREATE INDEX "ReturnItem_orderItemId_idx" ON "ReturnItem"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "ReturnRequest" ADD CONSTRAINT "ReturnRequest_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReturnRequest" ADD CONSTRAINT "ReturnRequest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReturnItem" ADD CONSTRAINT "ReturnItem_returnRequestId_fkey" FOREIGN KEY ("returnRequestId") REFERENCES "ReturnRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReturnItem" ADD CONSTRAINT "ReturnItem_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "OrderItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
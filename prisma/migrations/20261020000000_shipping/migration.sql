@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "eShippingRateType" AS ENUM ('FLAT', 'WEIGHT', 'FREE_OVER');
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "height" DOUBLE PRECISION,
+ADD COLUMN     "length" DOUBLE PRECISION,
+ADD COLUMN     "weight" DOUBLE PRECISION,
+ADD COLUMN     "width" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "shippingCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "shippingMethodId" INTEGER,
+ADD COLUMN     "shippingMethodName" TEXT;
+
+-- CreateTable
+CREATE TABLE "ShippingZone" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "countries" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "regions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShippingZone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ShippingMethod" (
+    "id" SERIAL NOT NULL,
+    "zoneId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "eShippingRateType" NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "pricePerKg" DOUBLE PRECISION,
+    "freeOver" DOUBLE PRECISION,
+    "maxWeight" DOUBLE PRECISION,
+    "estimatedDays" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShippingMethod_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ShippingMethod_zoneId_idx" ON "ShippingMethod"("zoneId");
+
+-- AddForeignKey
+ALTER TABLE "ShippingMethod" ADD CONSTRAINT "ShippingMethod_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "ShippingZone"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_shippingMethodId_fkey" FOREIGN KEY ("shippingMethodId") REFERENCES "ShippingMethod"("id") ON DELETE SET NULL ON UPDATE CASCADE;
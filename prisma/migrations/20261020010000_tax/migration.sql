@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "taxClassId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Category" ADD COLUMN     "taxClassId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "taxLines" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "taxTotal" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "TaxClass" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TaxClass_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TaxRate" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "country" TEXT NOT NULL,
+    "region" TEXT,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "taxClassId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TaxRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxClass_name_key" ON "TaxClass"("name");
+
+-- CreateIndex
+CREATE INDEX "TaxRate_country_idx" ON "TaxRate"("country");
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_taxClassId_fkey" FOREIGN KEY ("taxClassId") REFERENCES "TaxClass"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaxRate" ADD CONSTRAINT "TaxRate_taxClassId_fkey" FOREIGN KEY ("taxClassId") REFERENCES "TaxClass"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Category" ADD CONSTRAINT "Category_taxClassId_fkey" FOREIGN KEY ("taxClassId") REFERENCES "TaxClass"("id") ON DELETE SET NULL ON UPDATE CASCADE;
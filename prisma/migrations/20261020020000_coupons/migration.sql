@@ -0,0 +1,77 @@
+-- CreateEnum
+CREATE TYPE "eCouponType" AS ENUM ('PERCENTAGE', 'FIXED', 'FREE_SHIPPING');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "cartCouponId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "GuestCart" ADD COLUMN     "couponId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "couponCode" TEXT,
+ADD COLUMN     "couponDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "couponId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "couponDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "Coupon" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "eCouponType" NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "minCartValue" DOUBLE PRECISION,
+    "maxUses" INTEGER,
+    "maxUsesPerUser" INTEGER,
+    "usedCount" INTEGER NOT NULL DEFAULT 0,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "productIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "categoryIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "brandIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Coupon_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CouponRedemption" (
+    "id" SERIAL NOT NULL,
+    "couponId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "orderId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CouponRedemption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Coupon_code_key" ON "Coupon"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CouponRedemption_orderId_key" ON "CouponRedemption"("orderId");
+
+-- CreateIndex
+CREATE INDEX "CouponRedemption_couponId_userId_idx" ON "CouponRedemption"("couponId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "User" ADD CONSTRAINT "User_cartCouponId_fkey" FOREIGN KEY ("cartCouponId") REFERENCES "Coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuestCart" ADD CONSTRAINT "GuestCart_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "Coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CouponRedemption" ADD CONSTRAINT "CouponRedemption_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "Coupon"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CouponRedemption" ADD CONSTRAINT "CouponRedemption_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CouponRedemption" ADD CONSTRAINT "CouponRedemption_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "Coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
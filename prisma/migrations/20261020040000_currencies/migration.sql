@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" SERIAL NOT NULL,
+    "currency" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_currency_key" ON "ExchangeRate"("currency");
@@ -0,0 +1,79 @@
+-- Money columns move from DOUBLE PRECISION to DECIMAL(12,2), and ShippingMethod.pricePerKg, a rate
+-- that can hold fractions of a cent, to DECIMAL(12,4). Casting to numeric keeps 15 significant
+-- digits, which drops float noise such as 19.990000000000002. Older product prices and rates were
+-- stored as sent, so a value can have more decimals than its new column keeps. Rather than round
+-- those silently, the migration stops and lists them; correct the rows and run it again
+
+DO $$
+DECLARE
+    money_column RECORD;
+    affected BIGINT;
+    report TEXT := '';
+BEGIN
+    FOR money_column IN
+        SELECT * FROM (VALUES
+            ('Coupon', 'value', 2), ('Coupon', 'minCartValue', 2),
+            ('Order', 'subtotal', 2), ('Order', 'discountTotal', 2), ('Order', 'total', 2),
+            ('Order', 'shippingCost', 2), ('Order', 'taxTotal', 2), ('Order', 'couponDiscount', 2),
+            ('OrderItem', 'unitPrice', 2), ('OrderItem', 'discountedUnitPrice', 2), ('OrderItem', 'lineTotal', 2),
+            ('OrderItem', 'taxAmount', 2), ('OrderItem', 'couponDiscount', 2),
+            ('Payment', 'amount', 2), ('Payment', 'refundedAmount', 2),
+            ('Product', 'price', 2),
+            ('ProductVariant', 'price', 2),
+            ('ReturnRequest', 'refundAmount', 2),
+            ('ShippingMethod', 'price', 2), ('ShippingMethod', 'pricePerKg', 4), ('ShippingMethod', 'freeOver', 2)
+        ) AS columns (table_name, column_name, scale)
+    LOOP
+        EXECUTE format(
+            'SELECT count(*) FROM %I WHERE %I::numeric <> round(%I::numeric, %s)',
+            money_column.table_name, money_column.column_name, money_column.column_name, money_column.scale
+        ) INTO affected;
+
+        IF affected > 0 THEN
+            report := report || format(E'\n  "%s"."%s": %s rows with more than %s decimals',
+                money_column.table_name, money_column.column_name, affected, money_column.scale);
+        END IF;
+    END LOOP;
+
+    IF report <> '' THEN
+        RAISE EXCEPTION 'Rounding these money values to their new scale would change them:%', report
+            USING HINT = 'Correct the rows, for example with UPDATE ... SET column = round(column::numeric, 2), and run the migration again';
+    END IF;
+END $$;
+
+-- AlterTable
+ALTER TABLE "Coupon" ALTER COLUMN "value" SET DATA TYPE DECIMAL(12,2) USING round("value"::numeric, 2),
+ALTER COLUMN "minCartValue" SET DATA TYPE DECIMAL(12,2) USING round("minCartValue"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "Order" ALTER COLUMN "subtotal" SET DATA TYPE DECIMAL(12,2) USING round("subtotal"::numeric, 2),
+ALTER COLUMN "discountTotal" SET DATA TYPE DECIMAL(12,2) USING round("discountTotal"::numeric, 2),
+ALTER COLUMN "total" SET DATA TYPE DECIMAL(12,2) USING round("total"::numeric, 2),
+ALTER COLUMN "shippingCost" SET DATA TYPE DECIMAL(12,2) USING round("shippingCost"::numeric, 2),
+ALTER COLUMN "taxTotal" SET DATA TYPE DECIMAL(12,2) USING round("taxTotal"::numeric, 2),
+ALTER COLUMN "couponDiscount" SET DATA TYPE DECIMAL(12,2) USING round("couponDiscount"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "OrderItem" ALTER COLUMN "unitPrice" SET DATA TYPE DECIMAL(12,2) USING round("unitPrice"::numeric, 2),
+ALTER COLUMN "discountedUnitPrice" SET DATA TYPE DECIMAL(12,2) USING round("discountedUnitPrice"::numeric, 2),
+ALTER COLUMN "lineTotal" SET DATA TYPE DECIMAL(12,2) USING round("lineTotal"::numeric, 2),
+ALTER COLUMN "taxAmount" SET DATA TYPE DECIMAL(12,2) USING round("taxAmount"::numeric, 2),
+ALTER COLUMN "couponDiscount" SET DATA TYPE DECIMAL(12,2) USING round("couponDiscount"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "Payment" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(12,2) USING round("amount"::numeric, 2),
+ALTER COLUMN "refundedAmount" SET DATA TYPE DECIMAL(12,2) USING round("refundedAmount"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "Product" ALTER COLUMN "price" SET DATA TYPE DECIMAL(12,2) USING round("price"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "ProductVariant" ALTER COLUMN "price" SET DATA TYPE DECIMAL(12,2) USING round("price"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "ReturnRequest" ALTER COLUMN "refundAmount" SET DATA TYPE DECIMAL(12,2) USING round("refundAmount"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "ShippingMethod" ALTER COLUMN "price" SET DATA TYPE DECIMAL(12,2) USING round("price"::numeric, 2),
+ALTER COLUMN "pricePerKg" SET DATA TYPE DECIMAL(12,4) USING round("pricePerKg"::numeric, 4),
+ALTER COLUMN "freeOver" SET DATA TYPE DECIMAL(12,2) USING round("freeOver"::numeric, 2);
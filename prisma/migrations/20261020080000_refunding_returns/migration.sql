@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "eReturnStatus" ADD VALUE 'REFUNDING' BEFORE 'REFUNDED';
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "Counter" (
+    "name" TEXT NOT NULL,
+    "value" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "Counter_pkey" PRIMARY KEY ("name")
+);
+
+-- Invoice numbers continue from the highest one issued so far
+INSERT INTO "Counter" ("name", "value") SELECT 'invoice', COALESCE(MAX("number"), 0) FROM "Invoice";
+
+-- AlterTable
+ALTER TABLE "Invoice" ALTER COLUMN "number" DROP DEFAULT;
+DROP SEQUENCE "Invoice_number_seq";
@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "ePaymentStatus" ADD VALUE 'CAPTURING' BEFORE 'SUCCEEDED';
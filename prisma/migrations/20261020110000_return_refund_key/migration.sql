@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ReturnRequest" ADD COLUMN     "refundKey" TEXT,
+ADD COLUMN     "refundPaymentId" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "ReturnRequest" ADD CONSTRAINT "ReturnRequest_refundPaymentId_fkey" FOREIGN KEY ("refundPaymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- Invoice PDFs now live in the private bucket; the keys stored so far point at the public one, so
+-- the PDFs are uploaded again on the next request
+UPDATE "Invoice" SET "fileKey" = NULL;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "CouponUserUsage" (
+    "couponId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "CouponUserUsage_pkey" PRIMARY KEY ("couponId","userId")
+);
+
+-- AddForeignKey
+ALTER TABLE "CouponUserUsage" ADD CONSTRAINT "CouponUserUsage_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "Coupon"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CouponUserUsage" ADD CONSTRAINT "CouponUserUsage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Count the redemptions made so far
+INSERT INTO "CouponUserUsage" ("couponId", "userId", "count")
+SELECT "couponId", "userId", COUNT(*)
+FROM "CouponRedemption"
+WHERE "userId" IS NOT NULL
+GROUP BY "couponId", "userId";
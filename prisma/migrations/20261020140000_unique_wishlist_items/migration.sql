@@ -0,0 +1,11 @@
+-- Keep the oldest of any items saved twice
+DELETE FROM "WishlistItem" a
+USING "WishlistItem" b
+WHERE a."wishlistId" = b."wishlistId"
+  AND a."productId" = b."productId"
+  AND a."variantId" IS NOT DISTINCT FROM b."variantId"
+  AND a."id" > b."id";
+
+-- CreateIndex
+-- NULLS NOT DISTINCT, so an item without a variant can only be saved once as well
+CREATE UNIQUE INDEX "WishlistItem_wishlistId_productId_variantId_key" ON "WishlistItem"("wishlistId", "productId", "variantId") NULLS NOT DISTINCT;
@@ -0,0 +1,353 @@
+const prisma = require('../utils/prismaClient');
+const { validateAddress, pickAddressFields, findUserAddress } = require('../utils/addresses');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Address:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         recipient:
+ *           type: string
+ *           example: "John Doe"
+ *         line1:
+ *           type: string
+ *           example: "28 May St 15"
+ *         line2:
+ *           type: string
+ *           nullable: true
+ *           example: "Apt 4"
+ *         city:
+ *           type: string
+ *           example: "Baku"
+ *         region:
+ *           type: string
+ *           nullable: true
+ *         postalCode:
+ *           type: string
+ *           nullable: true
+ *           example: "AZ1000"
+ *         country:
+ *           type: string
+ *           description: Two-letter ISO 3166 country code
+ *           example: "AZ"
+ *         phone:
+ *           type: string
+ *           example: "+994501234567"
+ *         isDefaultShipping:
+ *           type: boolean
+ *         isDefaultBilling:
+ *           type: boolean
+ *       required:
+ *         - recipient
+ *         - line1
+ *         - city
+ *         - country
+ *         - phone
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Addresses
+ *     description: Address book of the authenticated user
+ */
+
+// Clears the given default flags on the user's other addresses
+const clearOtherDefaults = (tx, userId, addressId, data) => {
+    const updates = [];
+
+    if (data.isDefaultShipping) {
+        updates.push(tx.address.updateMany({
+            where: { userId, id: { not: addressId }, isDefaultShipping: true },
+            data: { isDefaultShipping: false },
+        }));
+    }
+
+    if (data.isDefaultBilling) {
+        updates.push(tx.address.updateMany({
+            where: { userId, id: { not: addressId }, isDefaultBilling: true },
+            data: { isDefaultBilling: false },
+        }));
+    }
+
+    return Promise.all(updates);
+};
+
+/**
+ * @swagger
+ * /me/addresses:
+ *   get:
+ *     tags:
+ *       - Addresses
+ *     summary: List the user's addresses
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Addresses, defaults first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const getAddresses = async (req, res) => {
+    try {
+        const addresses = await prisma.address.findMany({
+            where: { userId: req.user.id },
+            orderBy: [{ isDefaultShipping: 'desc' }, { isDefaultBilling: 'desc' }, { createdAt: 'desc' }],
+        });
+
+        res.status(200).json(addresses);
+    } catch (error) {
+        console.error("Get addresses error:", error);
+        res.status(500).json({ error: 'Failed to fetch addresses' });
+    }
+};
+
+/**
+ * @swagger
+ * /me/addresses/{id}:
+ *   get:
+ *     tags:
+ *       - Addresses
+ *     summary: Get one of the user's addresses
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+const getAddressById = async (req, res) => {
+    try {
+        const address = await findUserAddress(req.user.id, req.params.id);
+
+        if (!address) {
+            return res.status(404).json({ error: 'Address not found' });
+        }
+
+        res.status(200).json(address);
+    } catch (error) {
+        console.error("Get address error:", error);
+        res.status(500).json({ error: 'Failed to fetch address' });
+    }
+};
+
+/**
+ * @swagger
+ * /me/addresses:
+ *   post:
+ *     tags:
+ *       - Addresses
+ *     summary: Add an address
+ *     description: The postal code is validated against the country's format. The first address becomes the default shipping and billing address.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       201:
+ *         description: Address created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const createAddress = async (req, res) => {
+    try {
+        const data = pickAddressFields(req.body);
+
+        const validationError = validateAddress(data);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const userId = req.user.id;
+
+        const address = await prisma.$transaction(async (tx) => {
+            const existingCount = await tx.address.count({ where: { userId } });
+
+            if (existingCount === 0) {
+                data.isDefaultShipping = true;
+                data.isDefaultBilling = true;
+            }
+
+            const created = await tx.address.create({ data: { ...data, userId } });
+            await clearOtherDefaults(tx, userId, created.id, data);
+
+            return created;
+        });
+
+        res.status(201).json(address);
+    } catch (error) {
+        console.error("Create address error:", error);
+        res.status(500).json({ error: 'Failed to create address' });
+    }
+};
+
+/**
+ * @swagger
+ * /me/addresses/{id}:
+ *   patch:
+ *     tags:
+ *       - Addresses
+ *     summary: Update an address
+ *     description: Only the fields sent are changed. Setting a default flag clears it on the user's other addresses.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+const updateAddress = async (req, res) => {
+    try {
+        const existing = await findUserAddress(req.user.id, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Address not found' });
+        }
+
+        const data = pickAddressFields(req.body);
+
+        const validationError = validateAddress({ ...existing, ...data });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const address = await prisma.$transaction(async (tx) => {
+            const updated = await tx.address.update({ where: { id: existing.id }, data });
+            await clearOtherDefaults(tx, req.user.id, existing.id, data);
+
+            return updated;
+        });
+
+        res.status(200).json(address);
+    } catch (error) {
+        console.error("Update address error:", error);
+        res.status(500).json({ error: 'Failed to update address' });
+    }
+};
+
+/**
+ * @swagger
+ * /me/addresses/{id}:
+ *   delete:
+ *     tags:
+ *       - Addresses
+ *     summary: Delete an address
+ *     description: If the address was a default, the most recently added remaining address takes over that default.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Address deleted
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteAddress = async (req, res) => {
+    try {
+        const existing = await findUserAddress(req.user.id, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Address not found' });
+        }
+
+        await prisma.$transaction(async (tx) => {
+            await tx.address.delete({ where: { id: existing.id } });
+
+            if (!existing.isDefaultShipping && !existing.isDefaultBilling) {
+                return;
+            }
+
+            const successor = await tx.address.findFirst({
+                where: { userId: req.user.id },
+                orderBy: { createdAt: 'desc' },
+            });
+
+            if (successor) {
+                await tx.address.update({
+                    where: { id: successor.id },
+                    data: {
+                        isDefaultShipping: successor.isDefaultShipping || existing.isDefaultShipping,
+                        isDefaultBilling: successor.isDefaultBilling || existing.isDefaultBilling,
+                    },
+                });
+            }
+        });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error("Delete address error:", error);
+        res.status(500).json({ error: 'Failed to delete address' });
+    }
+};
+
+module.exports = {
+    getAddresses,
+    getAddressById,
+    createAddress,
+    updateAddress,
+    deleteAddress
+};
@@ -0,0 +1,545 @@
+const prisma = require('../utils/prismaClient');
+const { unlockUser } = require('../utils/loginThrottle');
+const { revokeAllSessions } = require('../utils/tokens');
+const { serializeUser } = require('../utils/serializers');
+const { refreshProductRating } = require('../utils/reviews');
+
+const ROLES = ['ADMIN', 'USER'];
+
+// The :id of /admin/users/:id routes; null when it is not an integer, which no user has
+const parseUserId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) ? id : null;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin
+ *     description: User and order administration (ADMIN role only)
+ */
+
+/**
+ * @swagger
+ * /admin/users/locked:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List locked accounts
+ *     description: Returns accounts that are currently locked after too many failed login attempts.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Locked accounts
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getLockedUsers = async (req, res) => {
+    try {
+        const users = await prisma.user.findMany({
+            where: { lockedUntil: { gt: new Date() } },
+            orderBy: { lockedUntil: 'desc' },
+            select: {
+                id: true,
+                username: true,
+                email: true,
+                failedLoginAttempts: true,
+                lastFailedLoginAt: true,
+                lockedUntil: true,
+            },
+        });
+
+        res.status(200).json(users);
+    } catch (error) {
+        console.error("Get locked users error:", error);
+        res.status(500).json({ error: 'Failed to fetch locked users' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/users/{id}/unlock:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Unlock an account
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+const unlockUserById = async (req, res) => {
+    try {
+        const id = parseUserId(req.params.id);
+
+        if (id === null) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await unlockUser(id);
+
+        res.status(200).json({ message: 'Account unlocked' });
+    } catch (error) {
+        console.error("Unlock user error:", error);
+        if (error.code === 'P2025') {
+            res.status(404).json({ error: 'User not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to unlock user' });
+        }
+    }
+};
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List users
+ *     description: Paginated list of users with optional search and filters.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of users per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, username, email or phone
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [ADMIN, USER]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, unverified]
+ *     responses:
+ *       200:
+ *         description: A page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalUsers:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *                     pageSize:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getUsers = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search, role, status } = req.query;
+
+        const pageNumber = parseInt(page, 10) || 1;
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+
+        const where = {};
+
+        if (search) {
+            where.OR = [
+                { name: { contains: search, mode: 'insensitive' } },
+                { username: { contains: search, mode: 'insensitive' } },
+                { email: { contains: search, mode: 'insensitive' } },
+                { phone: { contains: search } },
+            ];
+        }
+
+        if (role && ROLES.includes(role.toUpperCase())) where.role = role.toUpperCase();
+
+        if (status === 'suspended') where.suspendedAt = { not: null };
+        else if (status === 'active') where.suspendedAt = null;
+        else if (status === 'unverified') where.emailVerified = false;
+
+        const users = await prisma.user.findMany({
+            where,
+            orderBy: { id: 'desc' },
+            skip: (pageNumber - 1) * pageSize,
+            take: pageSize,
+        });
+
+        const totalUsers = await prisma.user.count({ where });
+
+        res.status(200).json({
+            data: users.map(serializeUser),
+            meta: {
+                totalUsers,
+                totalPages: Math.ceil(totalUsers / pageSize),
+                currentPage: pageNumber,
+                pageSize
+            }
+        });
+    } catch (error) {
+        console.error("Get users error:", error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get a user with their cart
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The user, including cart items with product details
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+const getUserById = async (req, res) => {
+    try {
+        const id = parseUserId(req.params.id);
+
+        if (id === null) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id },
+            include: {
+                cart: { include: { product_id: true } },
+                addresses: true,
+            },
+        });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.status(200).json(serializeUser(user));
+    } catch (error) {
+        console.error("Get user error:", error);
+        res.status(500).json({ error: 'Failed to fetch user' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   patch:
+ *     tags:
+ *       - Admin
+ *     summary: Change a user's role
+ *     description: Admins can not change their own role.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, USER]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role, or the admin tried to change their own role
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+const updateUserRole = async (req, res) => {
+    try {
+        const id = parseUserId(req.params.id);
+        const role = req.body.role ? String(req.body.role).toUpperCase() : null;
+
+        if (id === null) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}` });
+        }
+
+        if (id === req.user.id) {
+            return res.status(400).json({ error: 'You can not change your own role' });
+        }
+
+        const user = await prisma.user.update({
+            where: { id },
+            data: { role },
+        });
+
+        res.status(200).json(serializeUser(user));
+    } catch (error) {
+        console.error("Update user role error:", error);
+        if (error.code === 'P2025') {
+            res.status(404).json({ error: 'User not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to update user role' });
+        }
+    }
+};
+
+/**
+ * @swagger
+ * /admin/users/{id}/suspend:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Suspend a user
+ *     description: Suspended users can not log in and all their sessions are revoked.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: The admin tried to suspend themselves
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+const suspendUser = async (req, res) => {
+    try {
+        const id = parseUserId(req.params.id);
+
+        if (id === null) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (id === req.user.id) {
+            return res.status(400).json({ error: 'You can not suspend yourself' });
+        }
+
+        const user = await prisma.user.update({
+            where: { id },
+            data: { suspendedAt: new Date(), suspensionReason: req.body.reason || null },
+        });
+
+        await revokeAllSessions(id);
+
+        res.status(200).json(serializeUser(user));
+    } catch (error) {
+        console.error("Suspend user error:", error);
+        if (error.code === 'P2025') {
+            res.status(404).json({ error: 'User not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to suspend user' });
+        }
+    }
+};
+
+/**
+ * @swagger
+ * /admin/users/{id}/unsuspend:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Lift a user's suspension
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Suspension lifted
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+const unsuspendUser = async (req, res) => {
+    try {
+        const id = parseUserId(req.params.id);
+
+        if (id === null) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = await prisma.user.update({
+            where: { id },
+            data: { suspendedAt: null, suspensionReason: null },
+        });
+
+        res.status(200).json(serializeUser(user));
+    } catch (error) {
+        console.error("Unsuspend user error:", error);
+        if (error.code === 'P2025') {
+            res.status(404).json({ error: 'User not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to unsuspend user' });
+        }
+    }
+};
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a user
+ *     description: Deletes the account together with its cart, sessions and addresses.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: User deleted
+ *       400:
+ *         description: The admin tried to delete themselves
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteUser = async (req, res) => {
+    try {
+        const id = parseUserId(req.params.id);
+
+        if (id === null) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (id === req.user.id) {
+            return res.status(400).json({ error: 'You can not delete yourself' });
+        }
+
+        // Deleting the user cascades to their reviews, so the products they rated are refreshed with it
+        await prisma.$transaction(async (tx) => {
+            const reviews = await tx.review.findMany({ where: { userId: id, status: 'APPROVED' }, select: { productId: true } });
+
+            await tx.user.delete({ where: { id } });
+
+            for (const { productId } of reviews) {
+                await refreshProductRating(tx, productId);
+            }
+        });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error("Delete user error:", error);
+        if (error.code === 'P2025') {
+            res.status(404).json({ error: 'User not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete user' });
+        }
+    }
+};
+
+module.exports = {
+    getUsers,
+    getUserById,
+    updateUserRole,
+    suspendUser,
+    unsuspendUser,
+    deleteUser,
+    getLockedUsers,
+    unlockUserById
+};
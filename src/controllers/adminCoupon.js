@@ -0,0 +1,514 @@
+const prisma = require('../utils/prismaClient');
+const { COUPON_TYPES, normalizeCode } = require('../utils/coupons');
+const { parseMoney } = require('../utils/money');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         code:
+ *           type: string
+ *           description: Stored upper case; customers can enter it in any case
+ *           example: "SAVE10"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           enum: [PERCENTAGE, FIXED, FREE_SHIPPING]
+ *         value:
+ *           type: number
+ *           description: Percentage for PERCENTAGE, amount for FIXED, unused for FREE_SHIPPING
+ *           example: 10
+ *         minCartValue:
+ *           type: number
+ *           nullable: true
+ *           description: Cart subtotal needed to use the coupon
+ *         maxUses:
+ *           type: integer
+ *           nullable: true
+ *           description: Uses across all customers
+ *         maxUsesPerUser:
+ *           type: integer
+ *           nullable: true
+ *         usedCount:
+ *           type: integer
+ *           description: Orders placed with the coupon, less cancelled ones
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         brandIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: With no product, category or brand ids the coupon applies to every item; otherwise to items matching any of them
+ */
+
+const parseIdList = (value, field) => {
+    if (!Array.isArray(value) || value.some((id) => !Number.isInteger(Number(id)))) {
+        return { error: `${field} must be an array of integers` };
+    }
+    return { list: [...new Set(value.map(Number))] };
+};
+
+// Parses an optional date; undefined leaves it unchanged and null clears it
+const parseDate = (value, field) => {
+    if (value === undefined || value === null) {
+        return { value };
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return { error: `${field} must be a date` };
+    }
+    return { value: date };
+};
+
+// Parses an optional limit; undefined leaves it unchanged and null removes it
+const parseLimit = (value, field) => {
+    if (value === undefined || value === null) {
+        return { value };
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        return { error: `${field} must be a positive integer` };
+    }
+    return { value: limit };
+};
+
+// Validates a coupon body. Returns { data } or { error }
+const parseCouponBody = (body, isCreate) => {
+    const data = {};
+
+    if (body.code !== undefined || isCreate) {
+        const code = normalizeCode(body.code);
+        if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+            return { error: 'Code must be 3 to 32 letters, digits, dashes or underscores' };
+        }
+        data.code = code;
+    }
+
+    if (body.type !== undefined || isCreate) {
+        const type = String(body.type || '').toUpperCase();
+        if (!COUPON_TYPES.includes(type)) {
+            return { error: `Type must be one of ${COUPON_TYPES.join(', ')}` };
+        }
+        data.type = type;
+    }
+
+    if (body.value !== undefined) {
+        const value = parseMoney(body.value);
+        if (value === null) {
+            return { error: 'Value must be a non-negative number with at most two decimals' };
+        }
+        data.value = value;
+    }
+
+    if (body.minCartValue !== undefined) {
+        if (body.minCartValue === null) {
+            data.minCartValue = null;
+        } else {
+            const minCartValue = parseMoney(body.minCartValue);
+            if (minCartValue === null) {
+                return { error: 'minCartValue must be a non-negative amount with at most two decimals' };
+            }
+            data.minCartValue = minCartValue;
+        }
+    }
+
+    for (const field of ['maxUses', 'maxUsesPerUser']) {
+        const { value, error } = parseLimit(body[field], field);
+        if (error) {
+            return { error };
+        }
+        if (value !== undefined) data[field] = value;
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+        const { value, error } = parseDate(body[field], field);
+        if (error) {
+            return { error };
+        }
+        if (value !== undefined) data[field] = value;
+    }
+
+    for (const field of ['productIds', 'categoryIds', 'brandIds']) {
+        if (body[field] !== undefined) {
+            const { list, error } = parseIdList(body[field], field);
+            if (error) {
+                return { error };
+            }
+            data[field] = list;
+        }
+    }
+
+    if (body.description !== undefined) data.description = body.description ? String(body.description).trim() : null;
+    if (body.active !== undefined) data.active = body.active === true || body.active === 'true';
+
+    return { data };
+};
+
+// Checks the fields that depend on each other, on the coupon as it will be saved
+const checkCouponFields = (coupon) => {
+    if (coupon.type === 'PERCENTAGE' && !(coupon.value > 0 && coupon.value <= 100)) {
+        return 'Value of a PERCENTAGE coupon must be more than 0 and at most 100';
+    }
+    if (coupon.type === 'FIXED' && !(coupon.value > 0)) {
+        return 'Value of a FIXED coupon must be more than 0';
+    }
+    if (coupon.startsAt && coupon.endsAt && coupon.startsAt >= coupon.endsAt) {
+        return 'endsAt must be after startsAt';
+    }
+    return null;
+};
+
+const handleCouponWriteError = (error, res, fallbackMessage) => {
+    if (error.code === 'P2025') {
+        return res.status(404).json({ error: 'Coupon not found' });
+    }
+    if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error(fallbackMessage, error);
+    res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * @swagger
+ * /admin/coupons:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List coupons
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the code
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: A page of coupons
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getAllCoupons = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, search, active } = req.query;
+
+        const pageNumber = parseInt(page, 10) || 1;
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+
+        const where = {};
+        if (search) where.code = { contains: normalizeCode(search) };
+        if (active === 'true') where.active = true;
+        else if (active === 'false') where.active = false;
+
+        const coupons = await prisma.coupon.findMany({
+            where,
+            orderBy: { id: 'desc' },
+            skip: (pageNumber - 1) * pageSize,
+            take: pageSize,
+        });
+
+        const totalCoupons = await prisma.coupon.count({ where });
+
+        res.status(200).json({
+            data: coupons,
+            meta: {
+                totalCoupons,
+                totalPages: Math.ceil(totalCoupons / pageSize),
+                currentPage: pageNumber,
+                pageSize
+            }
+        });
+    } catch (error) {
+        console.error("Get all coupons error:", error);
+        res.status(500).json({ error: 'Failed to fetch coupons' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/coupons/{id}:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get a coupon
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The coupon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Coupon not found
+ *       500:
+ *         description: Internal server error
+ */
+const getCouponById = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        const coupon = Number.isInteger(id) ? await prisma.coupon.findUnique({ where: { id } }) : null;
+
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        res.status(200).json(coupon);
+    } catch (error) {
+        console.error("Get coupon error:", error);
+        res.status(500).json({ error: 'Failed to fetch coupon' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/coupons:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Create a coupon
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - type
+ *             properties:
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [PERCENTAGE, FIXED, FREE_SHIPPING]
+ *               value:
+ *                 type: number
+ *               minCartValue:
+ *                 type: number
+ *               maxUses:
+ *                 type: integer
+ *               maxUsesPerUser:
+ *                 type: integer
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               brandIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       409:
+ *         description: Code already taken
+ *       500:
+ *         description: Internal server error
+ */
+const createCoupon = async (req, res) => {
+    try {
+        const { data, error } = parseCouponBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const fieldError = checkCouponFields({ value: 0, ...data });
+        if (fieldError) {
+            return res.status(400).json({ error: fieldError });
+        }
+
+        const coupon = await prisma.coupon.create({ data });
+
+        res.status(201).json(coupon);
+    } catch (error) {
+        handleCouponWriteError(error, res, 'Failed to create coupon');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/coupons/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update a coupon
+ *     description: Takes the same fields as creating one. Orders already placed keep their discount.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Code already taken
+ *       500:
+ *         description: Internal server error
+ */
+const updateCoupon = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const { data, error } = parseCouponBody(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const existing = Number.isInteger(id) ? await prisma.coupon.findUnique({ where: { id } }) : null;
+        if (!existing) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        const fieldError = checkCouponFields({ ...existing, ...data });
+        if (fieldError) {
+            return res.status(400).json({ error: fieldError });
+        }
+
+        const coupon = await prisma.coupon.update({ where: { id }, data });
+
+        res.status(200).json(coupon);
+    } catch (error) {
+        handleCouponWriteError(error, res, 'Failed to update coupon');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/coupons/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a coupon
+ *     description: Removes it from every cart. Orders keep the code and discount they were placed with; set active to false instead to keep the usage history.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Coupon deleted
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Coupon not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteCoupon = async (req, res) => {
+    try {
+        await prisma.coupon.delete({ where: { id: Number(req.params.id) } });
+
+        res.status(204).send();
+    } catch (error) {
+        handleCouponWriteError(error, res, 'Failed to delete coupon');
+    }
+};
+
+module.exports = {
+    getAllCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+};
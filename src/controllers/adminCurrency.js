@@ -0,0 +1,252 @@
+const prisma = require('../utils/prismaClient');
+const { BASE_CURRENCY, importExchangeRates, isCurrencyCode, isValidRate, normalizeCurrency } = require('../utils/currency');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         currency:
+ *           type: string
+ *           example: "EUR"
+ *         rate:
+ *           type: number
+ *           description: Units of the currency per unit of the base currency
+ *           example: 0.92
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Checks a currency code from the path; the base currency has no exchange rate of its own
+const parseCurrencyParam = (value) => {
+    const currency = normalizeCurrency(value);
+
+    if (!isCurrencyCode(currency)) {
+        return { error: 'currency must be a three-letter ISO 4217 code' };
+    }
+    if (currency === BASE_CURRENCY) {
+        return { error: `${BASE_CURRENCY} is the base currency and always has a rate of 1` };
+    }
+    return { currency };
+};
+
+/**
+ * @swagger
+ * /admin/currencies:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List exchange rates
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The base currency and the exchange rates against it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 base:
+ *                   type: string
+ *                   example: "USD"
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getExchangeRates = async (req, res) => {
+    try {
+        const rates = await prisma.exchangeRate.findMany({ orderBy: { currency: 'asc' } });
+
+        res.status(200).json({ base: BASE_CURRENCY, rates });
+    } catch (error) {
+        console.error("Get exchange rates error:", error);
+        res.status(500).json({ error: 'Failed to fetch exchange rates' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/currencies/{currency}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Add a currency or change its exchange rate
+ *     description: Orders already placed keep the rate they were placed at.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "EUR"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *             properties:
+ *               rate:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Exchange rate saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Invalid currency or rate
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const setExchangeRate = async (req, res) => {
+    try {
+        const { currency, error } = parseCurrencyParam(req.params.currency);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const rate = Number(req.body.rate);
+        if (!isValidRate(rate)) {
+            return res.status(400).json({ error: 'Rate must be a positive number' });
+        }
+
+        const exchangeRate = await prisma.exchangeRate.upsert({
+            where: { currency },
+            create: { currency, rate },
+            update: { rate },
+        });
+
+        res.status(200).json(exchangeRate);
+    } catch (error) {
+        console.error("Set exchange rate error:", error);
+        res.status(500).json({ error: 'Failed to save exchange rate' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/currencies/import:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Import exchange rates
+ *     description: Takes the contents of a rates file, the same JSON as npm run import-rates. Listed currencies are added or updated, others are left alone. Nothing is saved if any rate is invalid.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - base
+ *               - rates
+ *             properties:
+ *               base:
+ *                 type: string
+ *                 description: Must be the base currency
+ *                 example: "USD"
+ *               rates:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                 example: { "EUR": 0.92, "AZN": 1.7 }
+ *     responses:
+ *       200:
+ *         description: Number of rates imported
+ *       400:
+ *         description: Wrong base currency or an invalid rate
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const importRates = async (req, res) => {
+    try {
+        const { count, error } = await importExchangeRates(prisma, req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.status(200).json({ message: `Imported ${count} exchange rates`, count });
+    } catch (error) {
+        console.error("Import exchange rates error:", error);
+        res.status(500).json({ error: 'Failed to import exchange rates' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/currencies/{currency}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Remove a currency
+ *     description: Prices can no longer be shown in it. Orders placed in it keep showing in it at their own rate.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Currency removed
+ *       400:
+ *         description: Invalid currency
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: No exchange rate for the currency
+ *       500:
+ *         description: Internal server error
+ */
+const deleteExchangeRate = async (req, res) => {
+    try {
+        const { currency, error } = parseCurrencyParam(req.params.currency);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await prisma.exchangeRate.delete({ where: { currency } });
+
+        res.status(204).send();
+    } catch (error) {
+        if (error.code === 'P2025') {
+            return res.status(404).json({ error: 'Exchange rate not found' });
+        }
+        console.error("Delete exchange rate error:", error);
+        res.status(500).json({ error: 'Failed to delete exchange rate' });
+    }
+};
+
+module.exports = {
+    getExchangeRates,
+    setExchangeRate,
+    importRates,
+    deleteExchangeRate
+};
@@ -0,0 +1,471 @@
+const prisma = require('../utils/prismaClient');
+const { getPaymentProvider } = require('../payments');
+const { subtractMoney } = require('../utils/money');
+const { ORDER_STATUSES, OrderError } = require('../utils/orders');
+const { ORDER_TRANSITIONS, canTransition, transitionOrder } = require('../utils/orderStatus');
+const { markPaymentSucceeded, refundDuplicatePayment, releaseRefund, reserveRefund } = require('../utils/payments');
+const { sendOrderConfirmation } = require('../utils/invoice');
+
+// Statuses that move money. They are only reached through the payment provider: PAID by a captured
+// payment (POST /admin/orders/:id/capture or the webhook), REFUNDED by POST /admin/orders/:id/refund
+const PAYMENT_STATUSES = ['PAID', 'REFUNDED'];
+
+const ORDER_USER_SELECT = {
+    id: true,
+    name: true,
+    username: true,
+    email: true,
+    phone: true,
+};
+
+/**
+ * @swagger
+ * /admin/orders:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List all orders
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PAID, PACKED, SHIPPED, DELIVERED, CANCELLED, REFUNDED]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of orders with their customer
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getAllOrders = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, userId } = req.query;
+
+        const pageNumber = parseInt(page, 10) || 1;
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+
+        const where = {};
+        if (status && ORDER_STATUSES.includes(String(status).toUpperCase())) where.status = String(status).toUpperCase();
+        if (userId && Number.isInteger(Number(userId))) where.userId = Number(userId);
+
+        const orders = await prisma.order.findMany({
+            where,
+            include: { user: { select: ORDER_USER_SELECT } },
+            orderBy: { id: 'desc' },
+            skip: (pageNumber - 1) * pageSize,
+            take: pageSize,
+        });
+
+        const totalOrders = await prisma.order.count({ where });
+
+        res.status(200).json({
+            data: orders,
+            meta: {
+                totalOrders,
+                totalPages: Math.ceil(totalOrders / pageSize),
+                currentPage: pageNumber,
+                pageSize
+            }
+        });
+    } catch (error) {
+        console.error("Get all orders error:", error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/orders/{id}:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get any order with its items, customer and status history
+ *     description: allowedTransitions lists the statuses the order can be moved to next.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The order
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+const getAnyOrder = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const order = await prisma.order.findUnique({
+            where: { id },
+            include: {
+                user: { select: ORDER_USER_SELECT },
+                items: { orderBy: { id: 'asc' } },
+                payments: { orderBy: { id: 'asc' } },
+                history: {
+                    orderBy: { id: 'asc' },
+                    include: { changedBy: { select: { id: true, username: true } } },
+                },
+            },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        res.status(200).json({ ...order, allowedTransitions: ORDER_TRANSITIONS[order.status] });
+    } catch (error) {
+        console.error("Get order error:", error);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/orders/{id}/status:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Move an order to a new status
+ *     description: "Allowed moves: PENDING → CANCELLED, PAID → PACKED, PACKED → SHIPPED, SHIPPED → DELIVERED. Cancelling an order puts its items back into stock. PAID and REFUNDED move money and are only reached through POST /admin/orders/{id}/capture (or the payment webhook) and POST /admin/orders/{id}/refund."
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PACKED, SHIPPED, DELIVERED, CANCELLED]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The transition is not allowed from the current status, or the status is PAID or REFUNDED, which only the payment endpoints set
+ *       500:
+ *         description: Internal server error
+ */
+const updateOrderStatus = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const status = String(req.body.status || '').toUpperCase();
+        if (!ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of ${ORDER_STATUSES.join(', ')}` });
+        }
+
+        if (PAYMENT_STATUSES.includes(status)) {
+            return res.status(409).json({
+                error: `Orders become ${status} through the payment provider; use POST /admin/orders/${id}/${status === 'PAID' ? 'capture' : 'refund'}`,
+            });
+        }
+
+        const { note } = req.body;
+        if (note !== undefined && note !== null && typeof note !== 'string') {
+            return res.status(400).json({ error: 'Note must be a string' });
+        }
+
+        const order = await transitionOrder(id, status, { changedById: req.user.id, note });
+
+        res.status(200).json(order);
+    } catch (error) {
+        if (error instanceof OrderError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Update order status error:", error);
+        res.status(500).json({ error: 'Failed to update order status' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/orders/{id}/capture:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Capture an authorized payment
+ *     description: Captures the order's AUTHORIZED payment at the payment provider and moves the order to PAID. The order has to be PENDING; the payment is CAPTURING while the provider is called.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The captured payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not PENDING, has no authorized payment, or is being captured by another request
+ *       500:
+ *         description: Internal server error
+ */
+const capturePayment = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Claims the payment as CAPTURING first, so concurrent captures can not both reach the provider.
+        // A PENDING order can not be cancelled while the payment is open, so it stays PENDING until then
+        const payment = await prisma.$transaction(async (tx) => {
+            const order = await tx.order.findUnique({ where: { id } });
+
+            if (!order) {
+                throw new OrderError('Order not found', 404);
+            }
+
+            if (order.status !== 'PENDING') {
+                throw new OrderError(`Payments can only be captured for pending orders, this one is ${order.status}`, 409);
+            }
+
+            const authorized = await tx.payment.findFirst({
+                where: { orderId: id, status: 'AUTHORIZED' },
+                orderBy: { id: 'desc' },
+            });
+
+            if (!authorized) {
+                throw new OrderError('Order has no authorized payment', 409);
+            }
+
+            const { count } = await tx.payment.updateMany({
+                where: { id: authorized.id, status: 'AUTHORIZED' },
+                data: { status: 'CAPTURING' },
+            });
+
+            if (count === 0) {
+                throw new OrderError('The payment is being captured by another request', 409);
+            }
+
+            return authorized;
+        });
+
+        try {
+            await getPaymentProvider(payment.provider).capture(payment.providerRef, payment.amount);
+        } catch (error) {
+            await prisma.payment.updateMany({ where: { id: payment.id, status: 'CAPTURING' }, data: { status: 'AUTHORIZED' } });
+            throw error;
+        }
+
+        const outcome = await prisma.$transaction((tx) =>
+            markPaymentSucceeded(tx, payment, { from: ['CAPTURING'], changedById: req.user.id }));
+
+        if (outcome === 'paid') {
+            await sendOrderConfirmation(payment.orderId);
+        } else if (outcome === 'duplicate') {
+            await refundDuplicatePayment(payment.id);
+        }
+
+        const captured = await prisma.payment.findUnique({ where: { id: payment.id } });
+
+        res.status(200).json(captured);
+    } catch (error) {
+        if (error instanceof OrderError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Capture payment error:", error);
+        res.status(500).json({ error: 'Failed to capture payment' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/orders/{id}/refund:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Refund a paid order
+ *     description: Refunds whatever is left of the order's successful payment at the payment provider (returns may already have refunded part of it) and moves the order to REFUNDED.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The refunded order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order can not be refunded in its current status, has no successful payment, or is being refunded by another request
+ *       500:
+ *         description: Internal server error
+ */
+const refundOrder = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Claims what is left of the payment before the provider is called, so concurrent refunds of the
+        // order or its returns can not refund the same money twice
+        const { payment, remaining } = await prisma.$transaction(async (tx) => {
+            const order = await tx.order.findUnique({ where: { id } });
+
+            if (!order) {
+                throw new OrderError('Order not found', 404);
+            }
+
+            if (!canTransition(order.status, 'REFUNDED')) {
+                throw new OrderError(`Order can not be refunded while ${order.status}`, 409);
+            }
+
+            const succeeded = await tx.payment.findFirst({
+                where: { orderId: id, status: 'SUCCEEDED' },
+                orderBy: { id: 'desc' },
+            });
+
+            if (!succeeded) {
+                throw new OrderError('Order has no successful payment to refund', 409);
+            }
+
+            // Returns may already have refunded part of the payment, or all of it
+            const left = subtractMoney(succeeded.amount, succeeded.refundedAmount);
+            if (left > 0) {
+                await reserveRefund(tx, succeeded, left);
+            }
+
+            return { payment: succeeded, remaining: left };
+        });
+
+        let { refundRef } = payment;
+        if (remaining > 0) {
+            try {
+                ({ refundRef } = await getPaymentProvider(payment.provider).refund(payment.providerRef, remaining));
+            } catch (error) {
+                await releaseRefund(payment, remaining);
+                throw error;
+            }
+        }
+
+        // The money is back with the customer, so the payment records it even if the order can no longer
+        // move to REFUNDED
+        await prisma.payment.update({ where: { id: payment.id }, data: { status: 'REFUNDED', refundRef } });
+
+        const note = typeof req.body.note === 'string' ? req.body.note : null;
+
+        let refunded;
+        try {
+            refunded = await transitionOrder(id, 'REFUNDED', { changedById: req.user.id, note });
+        } catch (error) {
+            if (error instanceof OrderError) {
+                throw new OrderError(`The payment was refunded, but ${error.message}`, error.status);
+            }
+            throw error;
+        }
+
+        res.status(200).json(refunded);
+    } catch (error) {
+        if (error instanceof OrderError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Refund order error:", error);
+        res.status(500).json({ error: 'Failed to refund order' });
+    }
+};
+
+module.exports = {
+    getAllOrders,
+    getAnyOrder,
+    updateOrderStatus,
+    capturePayment,
+    refundOrder
+};
@@ -0,0 +1,386 @@
+const prisma = require('../utils/prismaClient');
+const { parseMoney } = require('../utils/money');
+const { OrderError } = require('../utils/orders');
+const { RETURN_INCLUDE, decideReturn, receiveReturn, refundReturn, withEstimatedRefund } = require('../utils/returns');
+const {
+    sendReturnApprovedEmail,
+    sendReturnRejectedEmail,
+    sendReturnReceivedEmail,
+    sendReturnRefundedEmail
+} = require('../email/email');
+
+const RETURN_STATUSES = ['REQUESTED', 'APPROVED', 'REJECTED', 'RECEIVED', 'REFUNDING', 'REFUNDED'];
+
+// Emails the customer who opened the return; returns of deleted users are skipped
+const notifyCustomer = async (returnRequest, send, ...args) => {
+    const user = returnRequest.userId
+        ? await prisma.user.findUnique({ where: { id: returnRequest.userId } })
+        : null;
+
+    if (user) {
+        await send(user.email, user.name, returnRequest.id, ...args);
+    }
+};
+
+const parseNote = (note) => (typeof note === 'string' && note.trim() ? note.trim().slice(0, 1000) : null);
+
+const sendReturnError = (res, error, logMessage, fallbackMessage) => {
+    if (error instanceof OrderError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(logMessage, error);
+    res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * @swagger
+ * /admin/returns:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List return requests
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED, RECEIVED, REFUNDING, REFUNDED]
+ *     responses:
+ *       200:
+ *         description: A page of returns
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getAllReturns = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+
+        const pageNumber = parseInt(page, 10) || 1;
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+
+        const where = {};
+        if (status && RETURN_STATUSES.includes(String(status).toUpperCase())) where.status = String(status).toUpperCase();
+
+        const returns = await prisma.returnRequest.findMany({
+            where,
+            include: RETURN_INCLUDE,
+            orderBy: { id: 'desc' },
+            skip: (pageNumber - 1) * pageSize,
+            take: pageSize,
+        });
+
+        const totalReturns = await prisma.returnRequest.count({ where });
+
+        res.status(200).json({
+            data: returns.map(withEstimatedRefund),
+            meta: {
+                totalReturns,
+                totalPages: Math.ceil(totalReturns / pageSize),
+                currentPage: pageNumber,
+                pageSize
+            }
+        });
+    } catch (error) {
+        console.error("Get all returns error:", error);
+        res.status(500).json({ error: 'Failed to fetch returns' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get a return request
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The return
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Return not found
+ *       500:
+ *         description: Internal server error
+ */
+const getAnyReturn = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Return not found' });
+        }
+
+        const returnRequest = await prisma.returnRequest.findUnique({
+            where: { id },
+            include: {
+                ...RETURN_INCLUDE,
+                user: { select: { id: true, name: true, username: true, email: true } },
+            },
+        });
+
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Return not found' });
+        }
+
+        res.status(200).json(withEstimatedRefund(returnRequest));
+    } catch (error) {
+        console.error("Get return error:", error);
+        res.status(500).json({ error: 'Failed to fetch return' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}/approve:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Approve a requested return
+ *     description: The customer is emailed to send the items back.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Included in the email, e.g. return shipping instructions
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is not in REQUESTED status
+ *       500:
+ *         description: Internal server error
+ */
+const approveReturn = async (req, res) => {
+    try {
+        const note = parseNote(req.body.note);
+        const returnRequest = await decideReturn(Number(req.params.id), true, note);
+
+        await notifyCustomer(returnRequest, sendReturnApprovedEmail, note);
+
+        res.status(200).json(withEstimatedRefund(returnRequest));
+    } catch (error) {
+        sendReturnError(res, error, "Approve return error:", 'Failed to approve return');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}/reject:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Reject a requested return
+ *     description: The units become returnable again. The note is emailed to the customer as the reason.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is not in REQUESTED status
+ *       500:
+ *         description: Internal server error
+ */
+const rejectReturn = async (req, res) => {
+    try {
+        const note = parseNote(req.body.note);
+        const returnRequest = await decideReturn(Number(req.params.id), false, note);
+
+        await notifyCustomer(returnRequest, sendReturnRejectedEmail, note);
+
+        res.status(200).json(withEstimatedRefund(returnRequest));
+    } catch (error) {
+        sendReturnError(res, error, "Reject return error:", 'Failed to reject return');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}/receive:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Mark the returned items as received
+ *     description: Puts the returned units back into stock unless restock is false.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return received
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is not in APPROVED status
+ *       500:
+ *         description: Internal server error
+ */
+const receiveReturnById = async (req, res) => {
+    try {
+        const returnRequest = await receiveReturn(Number(req.params.id), {
+            restock: req.body.restock !== false && req.body.restock !== 'false',
+            adminNote: parseNote(req.body.note),
+        });
+
+        await notifyCustomer(returnRequest, sendReturnReceivedEmail);
+
+        res.status(200).json(withEstimatedRefund(returnRequest));
+    } catch (error) {
+        sendReturnError(res, error, "Receive return error:", 'Failed to receive return');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}/refund:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Refund a received return
+ *     description: Refunds the returned units at the prices paid through the order's payment provider. Pass a lower amount for a partial refund. When every unit of the order has been refunded the order moves to REFUNDED. A return left REFUNDING by a refund that never finished is sent to the provider again with the same idempotency key and amount, so it is refunded exactly once; amount is ignored then.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the full value of the returned units
+ *     responses:
+ *       200:
+ *         description: Return refunded
+ *       400:
+ *         description: Invalid amount
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is not RECEIVED or REFUNDING, it was refunded by a concurrent request, or the order has no successful payment
+ *       500:
+ *         description: Internal server error
+ */
+const refundReturnById = async (req, res) => {
+    try {
+        const amount = req.body.amount === undefined ? undefined : parseMoney(req.body.amount);
+
+        if (amount === null) {
+            return res.status(400).json({ error: 'Amount must be a number with at most two decimals' });
+        }
+
+        const returnRequest = await refundReturn(Number(req.params.id), { amount, changedById: req.user.id });
+
+        const payment = await prisma.payment.findFirst({ where: { orderId: returnRequest.orderId }, orderBy: { id: 'desc' } });
+        await notifyCustomer(returnRequest, sendReturnRefundedEmail, returnRequest.refundAmount, payment.currency);
+
+        res.status(200).json(withEstimatedRefund(returnRequest));
+    } catch (error) {
+        sendReturnError(res, error, "Refund return error:", 'Failed to refund return');
+    }
+};
+
+module.exports = {
+    getAllReturns,
+    getAnyReturn,
+    approveReturn,
+    rejectReturn,
+    receiveReturnById,
+    refundReturnById
+};
@@ -0,0 +1,232 @@
+const prisma = require('../utils/prismaClient');
+const { REVIEW_STATUSES, refreshProductRating } = require('../utils/reviews');
+
+const ADMIN_REVIEW_INCLUDE = {
+    product: { select: { id: true, name: true } },
+    user: { select: { id: true, name: true, email: true } },
+};
+
+const parseNote = (note) => (typeof note === 'string' && note.trim() ? note.trim().slice(0, 1000) : null);
+
+// Sets a review's status and refreshes its product's rating in one transaction
+const moderateReview = (id, status, moderationNote) =>
+    prisma.$transaction(async (tx) => {
+        const review = await tx.review.update({
+            where: { id },
+            data: { status, moderationNote, moderatedAt: new Date() },
+            include: ADMIN_REVIEW_INCLUDE,
+        });
+
+        await refreshProductRating(tx, review.productId);
+        return review;
+    });
+
+const handleReviewWriteError = (error, res, fallbackMessage) => {
+    if (error.code === 'P2025') {
+        return res.status(404).json({ error: 'Review not found' });
+    }
+    console.error(fallbackMessage, error);
+    res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * @swagger
+ * /admin/reviews:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List reviews for moderation
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED]
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of reviews, oldest first so the moderation queue is worked in order
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getAllReviews = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, productId } = req.query;
+
+        const pageNumber = parseInt(page, 10) || 1;
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+
+        const where = {};
+        if (status && REVIEW_STATUSES.includes(String(status).toUpperCase())) where.status = String(status).toUpperCase();
+        if (productId) where.productId = parseInt(productId, 10);
+
+        const reviews = await prisma.review.findMany({
+            where,
+            include: ADMIN_REVIEW_INCLUDE,
+            orderBy: { id: 'asc' },
+            skip: (pageNumber - 1) * pageSize,
+            take: pageSize,
+        });
+
+        const totalReviews = await prisma.review.count({ where });
+
+        res.status(200).json({
+            data: reviews,
+            meta: {
+                totalReviews,
+                totalPages: Math.ceil(totalReviews / pageSize),
+                currentPage: pageNumber,
+                pageSize
+            }
+        });
+    } catch (error) {
+        console.error("Get all reviews error:", error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/reviews/{id}/approve:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Approve a review
+ *     description: The review is shown on the product and counted in its rating. A rejected review can be approved later.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review approved
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ */
+const approveReview = async (req, res) => {
+    try {
+        const review = await moderateReview(Number(req.params.id), 'APPROVED', null);
+
+        res.status(200).json(review);
+    } catch (error) {
+        handleReviewWriteError(error, res, 'Failed to approve review');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/reviews/{id}/reject:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Reject a review
+ *     description: The review is hidden and no longer counted in the product's rating. The note is shown to its author.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review rejected
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ */
+const rejectReview = async (req, res) => {
+    try {
+        const review = await moderateReview(Number(req.params.id), 'REJECTED', parseNote((req.body || {}).note));
+
+        res.status(200).json(review);
+    } catch (error) {
+        handleReviewWriteError(error, res, 'Failed to reject review');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/reviews/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a review
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Review deleted
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteReview = async (req, res) => {
+    try {
+        await prisma.$transaction(async (tx) => {
+            const review = await tx.review.delete({ where: { id: Number(req.params.id) } });
+            await refreshProductRating(tx, review.productId);
+        });
+
+        res.status(204).send();
+    } catch (error) {
+        handleReviewWriteError(error, res, 'Failed to delete review');
+    }
+};
+
+module.exports = {
+    getAllReviews,
+    approveReview,
+    rejectReview,
+    deleteReview
+};
@@ -0,0 +1,414 @@
+const prisma = require('../utils/prismaClient');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Sale:
+ *       type: object
+ *       description: A percentage off the covered products while the sale runs. A product sells at the best of its own discount and its running sales; discounts do not stack.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Black Friday"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         discount:
+ *           type: integer
+ *           description: Percentage
+ *           example: 25
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         active:
+ *           type: boolean
+ *           description: An inactive sale does not run even inside its window
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         brandIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: With no product, category or brand ids the sale covers every product; otherwise products matching any of them
+ */
+
+const parseIdList = (value, field) => {
+    if (!Array.isArray(value) || value.some((id) => !Number.isInteger(Number(id)))) {
+        return { error: `${field} must be an array of integers` };
+    }
+    return { list: [...new Set(value.map(Number))] };
+};
+
+// Validates a sale body. Returns { data } or { error }
+const parseSaleBody = (body, isCreate) => {
+    const data = {};
+
+    if (body.name !== undefined || isCreate) {
+        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Sale name is required' };
+        }
+        data.name = body.name.trim();
+    }
+
+    if (body.discount !== undefined || isCreate) {
+        const discount = Number(body.discount);
+        if (!Number.isInteger(discount) || discount < 1 || discount > 99) {
+            return { error: 'Discount must be a whole percentage between 1 and 99' };
+        }
+        data.discount = discount;
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+        if (body[field] !== undefined || isCreate) {
+            const date = new Date(body[field]);
+            if (!body[field] || isNaN(date.getTime())) {
+                return { error: `${field} must be a date` };
+            }
+            data[field] = date;
+        }
+    }
+
+    for (const field of ['productIds', 'categoryIds', 'brandIds']) {
+        if (body[field] !== undefined) {
+            const { list, error } = parseIdList(body[field], field);
+            if (error) {
+                return { error };
+            }
+            data[field] = list;
+        }
+    }
+
+    if (body.description !== undefined) data.description = body.description ? String(body.description).trim() : null;
+    if (body.active !== undefined) data.active = body.active === true || body.active === 'true';
+
+    return { data };
+};
+
+const handleSaleWriteError = (error, res, fallbackMessage) => {
+    if (error.code === 'P2025') {
+        return res.status(404).json({ error: 'Sale not found' });
+    }
+    console.error(fallbackMessage, error);
+    res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * @swagger
+ * /admin/sales:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List sales
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, scheduled, ended]
+ *         description: Running sales are active and inside their window right now
+ *     responses:
+ *       200:
+ *         description: A page of sales, latest start first
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getAllSales = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+
+        const pageNumber = parseInt(page, 10) || 1;
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+        const now = new Date();
+
+        let where = {};
+        if (status === 'running') where = { active: true, startsAt: { lte: now }, endsAt: { gt: now } };
+        else if (status === 'scheduled') where = { startsAt: { gt: now } };
+        else if (status === 'ended') where = { endsAt: { lte: now } };
+        else if (status) {
+            return res.status(400).json({ error: 'Status must be one of running, scheduled, ended' });
+        }
+
+        const sales = await prisma.sale.findMany({
+            where,
+            orderBy: [{ startsAt: 'desc' }, { id: 'desc' }],
+            skip: (pageNumber - 1) * pageSize,
+            take: pageSize,
+        });
+
+        const totalSales = await prisma.sale.count({ where });
+
+        res.status(200).json({
+            data: sales,
+            meta: {
+                totalSales,
+                totalPages: Math.ceil(totalSales / pageSize),
+                currentPage: pageNumber,
+                pageSize
+            }
+        });
+    } catch (error) {
+        console.error("Get all sales error:", error);
+        res.status(500).json({ error: 'Failed to fetch sales' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/sales/{id}:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get a sale
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The sale
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Sale'
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Sale not found
+ *       500:
+ *         description: Internal server error
+ */
+const getSaleById = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        const sale = Number.isInteger(id) ? await prisma.sale.findUnique({ where: { id } }) : null;
+
+        if (!sale) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+
+        res.status(200).json(sale);
+    } catch (error) {
+        console.error("Get sale error:", error);
+        res.status(500).json({ error: 'Failed to fetch sale' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/sales:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Schedule a sale
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - discount
+ *               - startsAt
+ *               - endsAt
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               discount:
+ *                 type: integer
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *               productIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               brandIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       201:
+ *         description: Sale created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Sale'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const createSale = async (req, res) => {
+    try {
+        const { data, error } = parseSaleBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (data.startsAt >= data.endsAt) {
+            return res.status(400).json({ error: 'endsAt must be after startsAt' });
+        }
+
+        const sale = await prisma.sale.create({ data });
+
+        res.status(201).json(sale);
+    } catch (error) {
+        handleSaleWriteError(error, res, 'Failed to create sale');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/sales/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update a sale
+ *     description: Takes the same fields as creating one. Orders already placed keep the prices they were placed at.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Sale'
+ *     responses:
+ *       200:
+ *         description: Sale updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Sale not found
+ *       500:
+ *         description: Internal server error
+ */
+const updateSale = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const { data, error } = parseSaleBody(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const existing = Number.isInteger(id) ? await prisma.sale.findUnique({ where: { id } }) : null;
+        if (!existing) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+
+        const { startsAt, endsAt } = { ...existing, ...data };
+        if (startsAt >= endsAt) {
+            return res.status(400).json({ error: 'endsAt must be after startsAt' });
+        }
+
+        const sale = await prisma.sale.update({ where: { id }, data });
+
+        res.status(200).json(sale);
+    } catch (error) {
+        handleSaleWriteError(error, res, 'Failed to update sale');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/sales/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a sale
+ *     description: Products go back to their own discount straight away. Orders already placed keep their prices.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Sale deleted
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Sale not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteSale = async (req, res) => {
+    try {
+        await prisma.sale.delete({ where: { id: Number(req.params.id) } });
+
+        res.status(204).send();
+    } catch (error) {
+        handleSaleWriteError(error, res, 'Failed to delete sale');
+    }
+};
+
+module.exports = {
+    getAllSales,
+    getSaleById,
+    createSale,
+    updateSale,
+    deleteSale
+};
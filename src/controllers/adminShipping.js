@@ -0,0 +1,627 @@
+const prisma = require('../utils/prismaClient');
+const { SHIPPING_RATE_TYPES, parseMeasurement } = require('../utils/shipping');
+const { parseMoney, parseRate } = require('../utils/money');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingMethod:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         zoneId:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Standard"
+ *         type:
+ *           type: string
+ *           enum: [FLAT, WEIGHT, FREE_OVER]
+ *           description: FLAT charges price; WEIGHT charges price plus pricePerKg for every kg of the cart; FREE_OVER charges price below freeOver and nothing from it
+ *         price:
+ *           type: number
+ *           example: 5
+ *         pricePerKg:
+ *           type: number
+ *           nullable: true
+ *           description: Required for WEIGHT; up to four decimals, the charge is rounded to cents
+ *         freeOver:
+ *           type: number
+ *           nullable: true
+ *           description: Cart subtotal from which FREE_OVER ships free
+ *         maxWeight:
+ *           type: number
+ *           nullable: true
+ *           description: Heavier carts (kg) can not use this method
+ *         estimatedDays:
+ *           type: string
+ *           nullable: true
+ *           example: "3-5"
+ *         active:
+ *           type: boolean
+ *     ShippingZone:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Domestic"
+ *         countries:
+ *           type: array
+ *           description: Two-letter ISO 3166 codes. A zone without countries covers every address no other zone matches
+ *           items:
+ *             type: string
+ *           example: ["AZ"]
+ *         regions:
+ *           type: array
+ *           description: Optional regions of those countries; a zone listing the address's region wins over one that only lists its country
+ *           items:
+ *             type: string
+ *           example: []
+ *         methods:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ */
+
+const parseStringList = (value, field) => {
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+        return { error: `${field} must be an array of strings` };
+    }
+    return { list: [...new Set(value.map((item) => item.trim()))] };
+};
+
+// Validates a zone body. Returns { data } or { error }
+const parseZoneBody = (body, isCreate) => {
+    const data = {};
+
+    if (body.name !== undefined || isCreate) {
+        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Zone name is required' };
+        }
+        data.name = body.name.trim();
+    }
+
+    if (body.countries !== undefined) {
+        const { list, error } = parseStringList(body.countries, 'countries');
+        if (error) {
+            return { error };
+        }
+
+        data.countries = list.map((code) => code.toUpperCase());
+        if (data.countries.some((code) => !/^[A-Z]{2}$/.test(code))) {
+            return { error: 'countries must be two-letter ISO 3166 codes' };
+        }
+    }
+
+    if (body.regions !== undefined) {
+        const { list, error } = parseStringList(body.regions, 'regions');
+        if (error) {
+            return { error };
+        }
+        data.regions = list;
+    }
+
+    return { data };
+};
+
+// Parses an optional amount of money; undefined leaves it unchanged and null clears it.
+// pricePerKg is a rate and keeps up to four decimals
+const parseAmount = (value, field) => {
+    if (value === undefined || value === null) {
+        return { value };
+    }
+
+    const isRate = field === 'pricePerKg';
+    const amount = isRate ? parseRate(value) : parseMoney(value);
+    if (amount === null) {
+        return { error: `${field} must be a non-negative amount with at most ${isRate ? 'four' : 'two'} decimals` };
+    }
+    return { value: amount };
+};
+
+// Validates a method body. Returns { data } or { error }
+const parseMethodBody = (body, isCreate) => {
+    const data = {};
+
+    if (body.name !== undefined || isCreate) {
+        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Method name is required' };
+        }
+        data.name = body.name.trim();
+    }
+
+    if (body.type !== undefined || isCreate) {
+        const type = String(body.type || '').toUpperCase();
+        if (!SHIPPING_RATE_TYPES.includes(type)) {
+            return { error: `Type must be one of ${SHIPPING_RATE_TYPES.join(', ')}` };
+        }
+        data.type = type;
+    }
+
+    for (const field of ['price', 'pricePerKg', 'freeOver']) {
+        const { value, error } = parseAmount(body[field], field);
+        if (error) {
+            return { error };
+        }
+        if (value !== undefined) {
+            data[field] = field === 'price' && value === null ? 0 : value;
+        }
+    }
+
+    if (body.maxWeight !== undefined) {
+        const { value, error } = parseMeasurement(body.maxWeight, 'maxWeight');
+        if (error) {
+            return { error };
+        }
+        data.maxWeight = value;
+    }
+
+    if (body.estimatedDays !== undefined) data.estimatedDays = body.estimatedDays ? String(body.estimatedDays).trim() : null;
+    if (body.active !== undefined) data.active = body.active === true || body.active === 'true';
+
+    return { data };
+};
+
+// Checks the fields a rate type depends on, on the method as it will be saved
+const checkRateFields = (method) => {
+    if (method.type === 'WEIGHT' && (method.pricePerKg === null || method.pricePerKg === undefined)) {
+        return 'pricePerKg is required for WEIGHT methods';
+    }
+    if (method.type === 'FREE_OVER' && (method.freeOver === null || method.freeOver === undefined)) {
+        return 'freeOver is required for FREE_OVER methods';
+    }
+    return null;
+};
+
+// Path ids that are not integers can not match a row
+const parseId = (value) => {
+    const id = Number(value);
+    return Number.isInteger(id) ? id : null;
+};
+
+const handleShippingWriteError = (error, res, notFoundMessage, fallbackMessage) => {
+    if (error.code === 'P2025') {
+        return res.status(404).json({ error: notFoundMessage });
+    }
+    if (error.code === 'P2003') {
+        return res.status(404).json({ error: 'Shipping zone not found' });
+    }
+    console.error(fallbackMessage, error);
+    res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * @swagger
+ * /admin/shipping/zones:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List shipping zones with their methods
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All zones, including inactive methods
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShippingZone'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getShippingZones = async (req, res) => {
+    try {
+        const zones = await prisma.shippingZone.findMany({
+            include: { methods: { orderBy: { id: 'asc' } } },
+            orderBy: { id: 'asc' },
+        });
+
+        res.status(200).json(zones);
+    } catch (error) {
+        console.error("Get shipping zones error:", error);
+        res.status(500).json({ error: 'Failed to fetch shipping zones' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/shipping/zones:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Create a shipping zone
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               countries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               regions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Zone created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingZone'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const createShippingZone = async (req, res) => {
+    try {
+        const { data, error } = parseZoneBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const zone = await prisma.shippingZone.create({ data, include: { methods: true } });
+
+        res.status(201).json(zone);
+    } catch (error) {
+        console.error("Create shipping zone error:", error);
+        res.status(500).json({ error: 'Failed to create shipping zone' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/shipping/zones/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update a shipping zone
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               countries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               regions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Zone updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingZone'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Zone not found
+ *       500:
+ *         description: Internal server error
+ */
+const updateShippingZone = async (req, res) => {
+    try {
+        const id = parseId(req.params.id);
+        if (id === null) {
+            return res.status(404).json({ error: 'Shipping zone not found' });
+        }
+
+        const { data, error } = parseZoneBody(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const zone = await prisma.shippingZone.update({
+            where: { id },
+            data,
+            include: { methods: { orderBy: { id: 'asc' } } },
+        });
+
+        res.status(200).json(zone);
+    } catch (error) {
+        handleShippingWriteError(error, res, 'Shipping zone not found', 'Failed to update shipping zone');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/shipping/zones/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a shipping zone and its methods
+ *     description: Orders keep the name and cost of the method they were shipped with.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Zone deleted
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Zone not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteShippingZone = async (req, res) => {
+    try {
+        const id = parseId(req.params.id);
+        if (id === null) {
+            return res.status(404).json({ error: 'Shipping zone not found' });
+        }
+
+        await prisma.shippingZone.delete({ where: { id } });
+
+        res.status(204).send();
+    } catch (error) {
+        handleShippingWriteError(error, res, 'Shipping zone not found', 'Failed to delete shipping zone');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/shipping/zones/{id}/methods:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Add a shipping method to a zone
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [FLAT, WEIGHT, FREE_OVER]
+ *               price:
+ *                 type: number
+ *               pricePerKg:
+ *                 type: number
+ *               freeOver:
+ *                 type: number
+ *               maxWeight:
+ *                 type: number
+ *               estimatedDays:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Method created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingMethod'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Zone not found
+ *       500:
+ *         description: Internal server error
+ */
+const createShippingMethod = async (req, res) => {
+    try {
+        const { data, error } = parseMethodBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const rateError = checkRateFields(data);
+        if (rateError) {
+            return res.status(400).json({ error: rateError });
+        }
+
+        const zoneId = parseId(req.params.id);
+        if (zoneId === null) {
+            return res.status(404).json({ error: 'Shipping zone not found' });
+        }
+
+        const method = await prisma.shippingMethod.create({
+            data: { ...data, zoneId },
+        });
+
+        res.status(201).json(method);
+    } catch (error) {
+        handleShippingWriteError(error, res, 'Shipping zone not found', 'Failed to create shipping method');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/shipping/methods/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update a shipping method
+ *     description: Set active to false to stop offering a method without deleting it.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [FLAT, WEIGHT, FREE_OVER]
+ *               price:
+ *                 type: number
+ *               pricePerKg:
+ *                 type: number
+ *                 nullable: true
+ *               freeOver:
+ *                 type: number
+ *                 nullable: true
+ *               maxWeight:
+ *                 type: number
+ *                 nullable: true
+ *               estimatedDays:
+ *                 type: string
+ *                 nullable: true
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Method updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingMethod'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Method not found
+ *       500:
+ *         description: Internal server error
+ */
+const updateShippingMethod = async (req, res) => {
+    try {
+        const id = parseId(req.params.id);
+        const { data, error } = parseMethodBody(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const existing = id !== null ? await prisma.shippingMethod.findUnique({ where: { id } }) : null;
+        if (!existing) {
+            return res.status(404).json({ error: 'Shipping method not found' });
+        }
+
+        const rateError = checkRateFields({ ...existing, ...data });
+        if (rateError) {
+            return res.status(400).json({ error: rateError });
+        }
+
+        const method = await prisma.shippingMethod.update({ where: { id }, data });
+
+        res.status(200).json(method);
+    } catch (error) {
+        handleShippingWriteError(error, res, 'Shipping method not found', 'Failed to update shipping method');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/shipping/methods/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a shipping method
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Method deleted
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Method not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteShippingMethod = async (req, res) => {
+    try {
+        const id = parseId(req.params.id);
+        if (id === null) {
+            return res.status(404).json({ error: 'Shipping method not found' });
+        }
+
+        await prisma.shippingMethod.delete({ where: { id } });
+
+        res.status(204).send();
+    } catch (error) {
+        handleShippingWriteError(error, res, 'Shipping method not found', 'Failed to delete shipping method');
+    }
+};
+
+module.exports = {
+    getShippingZones,
+    createShippingZone,
+    updateShippingZone,
+    deleteShippingZone,
+    createShippingMethod,
+    updateShippingMethod,
+    deleteShippingMethod
+};
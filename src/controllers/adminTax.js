@@ -0,0 +1,501 @@
+const prisma = require('../utils/prismaClient');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxClass:
+ *       type: object
+ *       description: Assigned to categories or products to tax them at other than the standard rates
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Reduced"
+ *     TaxRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Shown on the cart and invoice tax lines
+ *           example: "VAT"
+ *         country:
+ *           type: string
+ *           example: "AZ"
+ *         region:
+ *           type: string
+ *           nullable: true
+ *           description: Narrows the rate to one region; a region rate wins over the country rate
+ *         rate:
+ *           type: number
+ *           description: Percentage
+ *           example: 18
+ *         taxClassId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for the standard rate, which applies to products without a tax class
+ */
+
+// Validates a tax rate body. Returns { data } or { error }
+const parseTaxRateBody = (body, isCreate) => {
+    const data = {};
+
+    if (body.name !== undefined || isCreate) {
+        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Tax rate name is required' };
+        }
+        data.name = body.name.trim();
+    }
+
+    if (body.country !== undefined || isCreate) {
+        const country = String(body.country || '').trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(country)) {
+            return { error: 'country must be a two-letter ISO 3166 code' };
+        }
+        data.country = country;
+    }
+
+    if (body.region !== undefined) {
+        data.region = body.region ? String(body.region).trim() : null;
+    }
+
+    if (body.rate !== undefined || isCreate) {
+        const rate = parseFloat(body.rate);
+        if (isNaN(rate) || rate < 0 || rate > 100) {
+            return { error: 'Rate must be a percentage between 0 and 100' };
+        }
+        data.rate = rate;
+    }
+
+    if (body.taxClassId !== undefined) {
+        if (body.taxClassId === null) {
+            data.taxClassId = null;
+        } else {
+            const taxClassId = Number(body.taxClassId);
+            if (!Number.isInteger(taxClassId)) {
+                return { error: 'taxClassId must be an integer' };
+            }
+            data.taxClassId = taxClassId;
+        }
+    }
+
+    return { data };
+};
+
+const handleTaxWriteError = (error, res, notFoundMessage, fallbackMessage) => {
+    if (error.code === 'P2025') {
+        return res.status(404).json({ error: notFoundMessage });
+    }
+    if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'A tax class with this name already exists' });
+    }
+    if (error.code === 'P2003') {
+        return res.status(404).json({ error: 'Tax class not found' });
+    }
+    console.error(fallbackMessage, error);
+    res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * @swagger
+ * /admin/tax/classes:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List tax classes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All tax classes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxClass'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getTaxClasses = async (req, res) => {
+    try {
+        const taxClasses = await prisma.taxClass.findMany({ orderBy: { name: 'asc' } });
+
+        res.status(200).json(taxClasses);
+    } catch (error) {
+        console.error("Get tax classes error:", error);
+        res.status(500).json({ error: 'Failed to fetch tax classes' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/tax/classes:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Create a tax class
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tax class created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxClass'
+ *       400:
+ *         description: Name is required
+ *       403:
+ *         description: Forbidden - admin role required
+ *       409:
+ *         description: Name already taken
+ *       500:
+ *         description: Internal server error
+ */
+const createTaxClass = async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Tax class name is required' });
+        }
+
+        const taxClass = await prisma.taxClass.create({ data: { name: name.trim() } });
+
+        res.status(201).json(taxClass);
+    } catch (error) {
+        handleTaxWriteError(error, res, 'Tax class not found', 'Failed to create tax class');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/tax/classes/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Rename a tax class
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tax class updated
+ *       400:
+ *         description: Name is required
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Tax class not found
+ *       409:
+ *         description: Name already taken
+ *       500:
+ *         description: Internal server error
+ */
+const updateTaxClass = async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'Tax class name is required' });
+        }
+
+        const taxClass = await prisma.taxClass.update({
+            where: { id: Number(req.params.id) },
+            data: { name: name.trim() },
+        });
+
+        res.status(200).json(taxClass);
+    } catch (error) {
+        handleTaxWriteError(error, res, 'Tax class not found', 'Failed to update tax class');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/tax/classes/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a tax class and its rates
+ *     description: Categories and products of the class fall back to the standard rates.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Tax class deleted
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Tax class not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteTaxClass = async (req, res) => {
+    try {
+        await prisma.taxClass.delete({ where: { id: Number(req.params.id) } });
+
+        res.status(204).send();
+    } catch (error) {
+        handleTaxWriteError(error, res, 'Tax class not found', 'Failed to delete tax class');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/tax/rates:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List tax rates
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rates by country and region
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxRate'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       500:
+ *         description: Internal server error
+ */
+const getTaxRates = async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.country) where.country = String(req.query.country).trim().toUpperCase();
+
+        const rates = await prisma.taxRate.findMany({
+            where,
+            include: { taxClass: true },
+            orderBy: [{ country: 'asc' }, { region: 'asc' }, { id: 'asc' }],
+        });
+
+        res.status(200).json(rates);
+    } catch (error) {
+        console.error("Get tax rates error:", error);
+        res.status(500).json({ error: 'Failed to fetch tax rates' });
+    }
+};
+
+/**
+ * @swagger
+ * /admin/tax/rates:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Create a tax rate
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - country
+ *               - rate
+ *             properties:
+ *               name:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               taxClassId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Tax rate created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRate'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Tax class not found
+ *       500:
+ *         description: Internal server error
+ */
+const createTaxRate = async (req, res) => {
+    try {
+        const { data, error } = parseTaxRateBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const rate = await prisma.taxRate.create({ data });
+
+        res.status(201).json(rate);
+    } catch (error) {
+        handleTaxWriteError(error, res, 'Tax rate not found', 'Failed to create tax rate');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/tax/rates/{id}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Update a tax rate
+ *     description: Orders already placed keep the tax they were charged.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *                 nullable: true
+ *               rate:
+ *                 type: number
+ *               taxClassId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Tax rate updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Tax rate or tax class not found
+ *       500:
+ *         description: Internal server error
+ */
+const updateTaxRate = async (req, res) => {
+    try {
+        const { data, error } = parseTaxRateBody(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const rate = await prisma.taxRate.update({ where: { id: Number(req.params.id) }, data });
+
+        res.status(200).json(rate);
+    } catch (error) {
+        handleTaxWriteError(error, res, 'Tax rate not found', 'Failed to update tax rate');
+    }
+};
+
+/**
+ * @swagger
+ * /admin/tax/rates/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Delete a tax rate
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Tax rate deleted
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Tax rate not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteTaxRate = async (req, res) => {
+    try {
+        await prisma.taxRate.delete({ where: { id: Number(req.params.id) } });
+
+        res.status(204).send();
+    } catch (error) {
+        handleTaxWriteError(error, res, 'Tax rate not found', 'Failed to delete tax rate');
+    }
+};
+
+module.exports = {
+    getTaxClasses,
+    createTaxClass,
+    updateTaxClass,
+    deleteTaxClass,
+    getTaxRates,
+    createTaxRate,
+    updateTaxRate,
+    deleteTaxRate
+};
@@ -56,6 +56,8 @@ const prisma = new PrismaClient();
  *               $ref: '#/components/schemas/Brand'
  *       400:
  *         description: Brand name is required
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Failed to create brand
  */
@@ -186,6 +188,8 @@ const getBrandById = async (req, res) => {
  *               $ref: '#/components/schemas/Brand'
  *       404:
  *         description: Brand not found
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Failed to update brand
  */
@@ -232,6 +236,8 @@ const updateBrandById = async (req, res) => {
  *         description: Brand deleted successfully
  *       404:
  *         description: Brand not found
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Failed to delete brand
  */
@@ -0,0 +1,666 @@
+const prisma = require('../utils/prismaClient');
+const { CartError, addCartItem, parseCount, getCartSummary, exceedsStock } = require('../utils/cart');
+const { TAX_DEFAULT_COUNTRY, taxCart } = require('../utils/tax');
+const { checkCoupon, getCouponedCart, normalizeCode, setCartCoupon } = require('../utils/coupons');
+const { convertCart } = require('../utils/currency');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Cart
+ *     description: Shopping cart. Signed-in users send their Bearer token; guests send the X-Cart-Token returned by their first POST /cart/add
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     CartToken:
+ *       in: header
+ *       name: X-Cart-Token
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Guest cart token, used when no Bearer token is sent
+ */
+
+// The cart is taxed for the ?country= and ?region= of the request, else the signed-in user's default
+// shipping address, else TAX_DEFAULT_COUNTRY. Checkout taxes again for the address actually shipped to.
+// Amounts are shown in the request's currency
+const getTaxedCart = async (req) => {
+    let address = null;
+
+    if (req.query.country) {
+        address = { country: String(req.query.country), region: req.query.region ? String(req.query.region) : null };
+    } else if (req.user) {
+        address = await prisma.address.findFirst({ where: { userId: req.user.id, isDefaultShipping: true } });
+    }
+
+    if (!address && TAX_DEFAULT_COUNTRY) {
+        address = { country: TAX_DEFAULT_COUNTRY, region: null };
+    }
+
+    const cart = await taxCart(prisma, address, await getCouponedCart(req.cartOwner, req.user ? req.user.id : null));
+
+    return convertCart(cart, req.currency);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: Cart item ID, used by PATCH /cart/{itemId}
+ *               productId:
+ *                 type: integer
+ *               variantId:
+ *                 type: integer
+ *                 nullable: true
+ *               count:
+ *                 type: integer
+ *               variant:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   sku:
+ *                     type: string
+ *                   color:
+ *                     type: string
+ *                   size:
+ *                     type: string
+ *                   price:
+ *                     type: number
+ *                     nullable: true
+ *                   stock:
+ *                     type: integer
+ *               product:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   images:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   price:
+ *                     type: number
+ *                   discount:
+ *                     type: integer
+ *               unitPrice:
+ *                 type: number
+ *                 example: 100
+ *               discountedUnitPrice:
+ *                 type: number
+ *                 example: 90
+ *               lineTotal:
+ *                 type: number
+ *                 example: 180
+ *               taxRate:
+ *                 type: number
+ *                 description: Tax percentage of the line, 0 when untaxed
+ *                 example: 18
+ *               taxAmount:
+ *                 type: number
+ *                 example: 32.4
+ *         itemCount:
+ *           type: integer
+ *           example: 2
+ *         subtotal:
+ *           type: number
+ *           description: Sum of the discounted line totals
+ *           example: 180
+ *         discountTotal:
+ *           type: number
+ *           description: Amount saved through product discounts
+ *           example: 20
+ *         coupon:
+ *           type: object
+ *           nullable: true
+ *           description: The applied coupon, null when there is none or it no longer applies
+ *           properties:
+ *             code:
+ *               type: string
+ *               example: "SAVE10"
+ *             type:
+ *               type: string
+ *               enum: [PERCENTAGE, FIXED, FREE_SHIPPING]
+ *             value:
+ *               type: number
+ *         couponDiscount:
+ *           type: number
+ *           example: 18
+ *         freeShipping:
+ *           type: boolean
+ *         couponError:
+ *           type: string
+ *           description: Why the applied coupon is left out, e.g. it expired or the cart fell below its minimum
+ *         pricesIncludeTax:
+ *           type: boolean
+ *           description: True when prices already contain the tax (TAX_PRICE_MODE=inclusive)
+ *         taxLines:
+ *           type: array
+ *           description: Tax per rate
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "VAT"
+ *               rate:
+ *                 type: number
+ *                 example: 18
+ *               amount:
+ *                 type: number
+ *                 example: 32.4
+ *         taxTotal:
+ *           type: number
+ *           example: 32.4
+ *         total:
+ *           type: number
+ *           description: Subtotal less the coupon discount, plus tax when prices exclude it, before shipping
+ *           example: 212.4
+ *         currency:
+ *           type: string
+ *           description: Currency of every amount in the cart
+ *           example: "USD"
+ */
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     tags:
+ *       - Cart
+ *     summary: Get the cart
+ *     description: Returns the cart items with product info, discounted unit prices, line totals, the cart subtotal and its tax. Tax is estimated for the country and region given, else the default shipping address, else TAX_DEFAULT_COUNTRY.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Two-letter country code to estimate the tax for
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const getCart = async (req, res) => {
+    try {
+        const cart = await getTaxedCart(req);
+
+        res.status(200).json(cart);
+    } catch (error) {
+        console.error("Get cart error:", error);
+        res.status(500).json({ error: 'Failed to fetch cart' });
+    }
+};
+
+/**
+ * @swagger
+ * /cart/add:
+ *   post:
+ *     tags:
+ *       - Cart
+ *     summary: Add product to cart
+ *     description: Adds a product to the cart, or increases its count if it is already there. Without a Bearer token or X-Cart-Token a new guest cart is created and its token returned as cartToken.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               variantId:
+ *                 type: integer
+ *                 description: Required when the product has variants
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: Product added to cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 product:
+ *                   $ref: '#/components/schemas/Product'
+ *                 cartToken:
+ *                   type: string
+ *                   description: Only present when a new guest cart was created
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Not enough stock
+ *       500:
+ *         description: Internal server error
+ */
+const addToCart = async (req, res) => {
+    try {
+        const { productId, variantId, count = 1 } = req.body;
+
+        if (!productId) {
+            return res.status(400).json({ error: 'Product ID is required' });
+        }
+
+        const quantity = parseCount(count);
+        if (!quantity) {
+            return res.status(400).json({ error: 'Count must be a positive integer' });
+        }
+
+        const { product, variant, cartToken } = await addCartItem(req.cartOwner, { productId, variantId, count: quantity });
+
+        res.status(200).json({ message: 'Product added to cart', product, variant, cartToken });
+    } catch (error) {
+        if (error instanceof CartError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Add to cart error:", error);
+        res.status(500).json({ error: 'Failed to add product to cart' });
+    }
+};
+
+/**
+ * @swagger
+ * /cart/{itemId}:
+ *   patch:
+ *     tags:
+ *       - Cart
+ *     summary: Set the quantity of a cart item
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cart item ID (the `id` of an item from GET /cart)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Count must be a positive integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Item not found in cart
+ *       409:
+ *         description: Not enough stock
+ *       500:
+ *         description: Internal server error
+ */
+const updateCartItem = async (req, res) => {
+    try {
+        const itemId = Number(req.params.itemId);
+
+        if (!Number.isInteger(itemId)) {
+            return res.status(400).json({ error: 'Invalid item ID' });
+        }
+
+        const count = parseCount(req.body.count);
+        if (!count) {
+            return res.status(400).json({ error: 'Count must be a positive integer' });
+        }
+
+        const cartItem = req.cartOwner
+            ? await prisma.cart.findFirst({ where: { ...req.cartOwner, id: itemId }, include: { product_id: true, variant: true } })
+            : null;
+
+        if (!cartItem) {
+            return res.status(404).json({ error: 'Item not found in cart' });
+        }
+
+        const stocked = cartItem.variant || cartItem.product_id;
+        if (exceedsStock(stocked, count)) {
+            return res.status(409).json({ error: `Only ${stocked.stock} left in stock` });
+        }
+
+        await prisma.cart.update({
+            where: { id: cartItem.id },
+            data: { count },
+        });
+
+        const cart = await getTaxedCart(req);
+
+        res.status(200).json(cart);
+    } catch (error) {
+        console.error("Update cart item error:", error);
+        res.status(500).json({ error: 'Failed to update cart item' });
+    }
+};
+
+/**
+ * @swagger
+ * /cart/{itemId}:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Remove an item from the cart
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cart item ID (the `id` of an item from GET /cart)
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Item not found in cart
+ *       500:
+ *         description: Internal server error
+ */
+const removeCartItem = async (req, res) => {
+    try {
+        const itemId = Number(req.params.itemId);
+
+        const { count } = req.cartOwner && Number.isInteger(itemId)
+            ? await prisma.cart.deleteMany({ where: { ...req.cartOwner, id: itemId } })
+            : { count: 0 };
+
+        if (count === 0) {
+            return res.status(404).json({ error: 'Item not found in cart' });
+        }
+
+        const cart = await getTaxedCart(req);
+
+        res.status(200).json(cart);
+    } catch (error) {
+        console.error("Remove cart item error:", error);
+        res.status(500).json({ error: 'Failed to remove item from cart' });
+    }
+};
+
+/**
+ * @swagger
+ * /cart/delete/{productId}:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Remove a product from the cart by product ID
+ *     description: Kept for older clients; prefer DELETE /cart/{itemId}, which removes a single cart line. Removes every line of the product, or only one variant when variantId is given.
+ *     deprecated: true
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the product to remove
+ *       - in: query
+ *         name: variantId
+ *         required: false
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Item removed from cart
+ *       400:
+ *         description: Invalid product ID or variantId
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Item not found in cart
+ *       500:
+ *         description: Internal server error
+ */
+const deleteCart = async (req, res) => {
+    try {
+        const productId = Number(req.params.productId);
+
+        if (!Number.isInteger(productId)) {
+            return res.status(400).json({ error: 'Product ID must be an integer' });
+        }
+
+        const where = { ...req.cartOwner, productId };
+        if (req.query.variantId !== undefined) {
+            const variantId = Number(req.query.variantId);
+            if (!Number.isInteger(variantId)) {
+                return res.status(400).json({ error: 'variantId must be an integer' });
+            }
+            where.variantId = variantId;
+        }
+
+        const { count } = req.cartOwner
+            ? await prisma.cart.deleteMany({ where })
+            : { count: 0 };
+
+        if (count === 0) {
+            return res.status(404).json({ error: 'Item not found in cart' });
+        }
+
+        res.status(200).json({ message: 'Item removed from cart successfully' });
+    } catch (error) {
+        console.error("Error removing item from cart:", error);
+        res.status(500).json({ error: 'Failed to remove item from cart' });
+    }
+};
+
+/**
+ * @swagger
+ * /cart:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Clear the cart
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const clearCart = async (req, res) => {
+    try {
+        const { count } = req.cartOwner
+            ? await prisma.cart.deleteMany({ where: req.cartOwner })
+            : { count: 0 };
+
+        res.status(200).json({ message: 'Cart cleared', removedItems: count });
+    } catch (error) {
+        console.error("Clear cart error:", error);
+        res.status(500).json({ error: 'Failed to clear cart' });
+    }
+};
+
+/**
+ * @swagger
+ * /cart/coupon:
+ *   post:
+ *     tags:
+ *       - Cart
+ *     summary: Apply a coupon code to the cart
+ *     description: Replaces any coupon already applied. The coupon is checked against the cart now and again at checkout.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "SAVE10"
+ *     responses:
+ *       200:
+ *         description: The cart with the coupon applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Code is missing or the cart is empty
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Coupon can not be used on this cart (not started, expired, used up, minimum not met or no eligible items)
+ *       500:
+ *         description: Internal server error
+ */
+const applyCartCoupon = async (req, res) => {
+    try {
+        const code = normalizeCode(req.body.code);
+
+        if (!code) {
+            return res.status(400).json({ error: 'Coupon code is required' });
+        }
+
+        if (!req.cartOwner) {
+            return res.status(400).json({ error: 'Cart is empty' });
+        }
+
+        const coupon = await prisma.coupon.findUnique({ where: { code } });
+
+        if (!coupon || !coupon.active) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        const couponError = await checkCoupon(prisma, coupon, await getCartSummary(req.cartOwner), req.user ? req.user.id : null);
+        if (couponError) {
+            return res.status(409).json({ error: couponError });
+        }
+
+        await setCartCoupon(prisma, req.cartOwner, coupon.id);
+
+        res.status(200).json(await getTaxedCart(req));
+    } catch (error) {
+        console.error("Apply coupon error:", error);
+        res.status(500).json({ error: 'Failed to apply coupon' });
+    }
+};
+
+/**
+ * @swagger
+ * /cart/coupon:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Remove the coupon from the cart
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *     responses:
+ *       200:
+ *         description: The cart without a coupon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       500:
+ *         description: Internal server error
+ */
+const removeCartCoupon = async (req, res) => {
+    try {
+        if (req.cartOwner) {
+            await setCartCoupon(prisma, req.cartOwner, null);
+        }
+
+        res.status(200).json(await getTaxedCart(req));
+    } catch (error) {
+        console.error("Remove coupon error:", error);
+        res.status(500).json({ error: 'Failed to remove coupon' });
+    }
+};
+
+module.exports = {
+    getCart,
+    addToCart,
+    updateCartItem,
+    deleteCart,
+    removeCartItem,
+    clearCart,
+    applyCartCoupon,
+    removeCartCoupon
+};
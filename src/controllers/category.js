@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { parseTaxClassId } = require('../utils/tax');
 
 /**
  * @swagger
@@ -32,6 +33,10 @@ const prisma = new PrismaClient();
  *               slug:
  *                 type: string
  *                 description: Slug for the category.
+ *               taxClassId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Tax class of the category's products; null for the standard rates.
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -48,6 +53,8 @@ const prisma = new PrismaClient();
  *                   type: string
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Internal server error
  */
@@ -61,7 +68,7 @@ const createCategory = async (req, res) => {
         }
 
         const newCategory = await prisma.category.create({
-            data: { name, slug },
+            data: { name, slug, taxClassId: parseTaxClassId(req.body.taxClassId) },
         });
 
         res.status(201).json(newCategory);
@@ -199,6 +206,10 @@ const getCategoriesById = async (req, res) => {
  *               slug:
  *                 type: string
  *                 description: New slug for the category.
+ *               taxClassId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Tax class of the category's products; null for the standard rates.
  *     responses:
  *       200:
  *         description: Category updated successfully
@@ -217,6 +228,8 @@ const getCategoriesById = async (req, res) => {
  *         description: Bad request
  *       404:
  *         description: Category not found
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Internal server error
  */
@@ -232,7 +245,7 @@ const editCategoriesById = async (req, res) => {
 
         const updatedCategory = await prisma.category.update({
             where: { id: categoryId },
-            data: { name, slug },
+            data: { name, slug, taxClassId: parseTaxClassId(req.body.taxClassId) },
         });
 
         res.status(200).json(updatedCategory);
@@ -268,6 +281,8 @@ const editCategoriesById = async (req, res) => {
  *         description: Category deleted successfully
  *       404:
  *         description: Category not found
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Internal server error
  */
@@ -334,6 +349,8 @@ const deleteCategoryById = async (req, res) => {
  *                   type: string
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Internal server error
  */
@@ -504,6 +521,8 @@ const getSubcategoriesById = async (req, res) => {
  *         description: Bad request
  *       404:
  *         description: Subcategory not found
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Internal server error
  */
@@ -555,6 +574,8 @@ const editSubcategoriesById = async (req, res) => {
  *         description: Subcategory deleted successfully
  *       404:
  *         description: Subcategory not found
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Internal server error
  */
@@ -637,6 +658,8 @@ const deleteSubcategoryById = async (req, res) => {
  *         description: Bad request due to missing required fields.
  *       404:
  *         description: Subcategory not found.
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Internal server error.
  */
@@ -692,6 +715,8 @@ const updateSubcategory = async (req, res) => {
  *         description: Subcategory deleted successfully.
  *       404:
  *         description: Subcategory not found.
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Internal server error.
  */
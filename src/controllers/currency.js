@@ -0,0 +1,89 @@
+const prisma = require('../utils/prismaClient');
+const { BASE_CURRENCY, currencyDecimals } = require('../utils/currency');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Currencies
+ *     description: Currencies prices can be shown in
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Currency:
+ *       in: query
+ *       name: currency
+ *       required: false
+ *       schema:
+ *         type: string
+ *         example: "EUR"
+ *       description: Three-letter currency code to show prices in, one of GET /currencies. Defaults to the base currency
+ *     CurrencyHeader:
+ *       in: header
+ *       name: X-Currency
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Same as the currency query parameter, which wins when both are sent
+ *   schemas:
+ *     Currency:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "EUR"
+ *         rate:
+ *           type: number
+ *           description: Units of the currency per unit of the base currency
+ *           example: 0.92
+ *         decimals:
+ *           type: integer
+ *           description: Amounts in the currency are rounded to this many decimals
+ *           example: 2
+ *         base:
+ *           type: boolean
+ *           description: Whether this is the currency prices are kept and charged in
+ */
+
+/**
+ * @swagger
+ * /currencies:
+ *   get:
+ *     tags:
+ *       - Currencies
+ *     summary: List the currencies prices can be shown in
+ *     description: The base currency first, then every currency with an exchange rate.
+ *     responses:
+ *       200:
+ *         description: The currencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Currency'
+ *       500:
+ *         description: Internal server error
+ */
+const getCurrencies = async (req, res) => {
+    try {
+        const rates = await prisma.exchangeRate.findMany({
+            where: { currency: { not: BASE_CURRENCY } },
+            orderBy: { currency: 'asc' },
+        });
+
+        res.status(200).json([
+            { code: BASE_CURRENCY, rate: 1, decimals: currencyDecimals(BASE_CURRENCY), base: true },
+            ...rates.map((rate) => ({ code: rate.currency, rate: rate.rate, decimals: currencyDecimals(rate.currency), base: false })),
+        ]);
+    } catch (error) {
+        console.error("Get currencies error:", error);
+        res.status(500).json({ error: 'Failed to fetch currencies' });
+    }
+};
+
+module.exports = {
+    getCurrencies
+};
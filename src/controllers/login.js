@@ -1,11 +1,65 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const prisma = require('../utils/prismaClient');
-
-const sendWelcomeEmail = require('../email/email');
+const { issueTokens, signPurposeToken, verifyPurposeToken } = require('../utils/tokens');
+const { serializeUser } = require('../utils/serializers');
+const { apiUrl } = require('../utils/url');
+const {
+    LOGIN_LOCK_MINUTES,
+    getIpRetryAfter,
+    getAccountRetryAfter,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    unlockUser
+} = require('../utils/loginThrottle');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { CART_TOKEN_HEADER, mergeGuestCart } = require('../utils/cart');
+const { sendAccountLockedEmail } = require('../email/email');
+
+const { sendEmailVerification } = require('./verification');
 dotenv.config();
 
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Responds with 423/429 and returns true when the account has to wait before trying again
+const rejectThrottledAccount = (res, user) => {
+    const { locked, retryAfter } = getAccountRetryAfter(user);
+
+    if (retryAfter === 0) {
+        return false;
+    }
+
+    res.set('Retry-After', String(retryAfter));
+    if (locked) {
+        res.status(423).json({ error: 'Account is temporarily locked after too many failed login attempts' });
+    } else {
+        res.status(429).json({ error: `Too many failed login attempts. Try again in ${retryAfter} seconds` });
+    }
+
+    return true;
+};
+
+// Counts a failed password or 2FA code and emails an unlock link when it locks the account
+const handleFailedLogin = async (ip, username, user) => {
+    const lockedUser = await recordFailedLogin({ ip, username, user });
+
+    if (lockedUser) {
+        const unlockToken = signPurposeToken('unlock-account', { userid: user.id }, `${LOGIN_LOCK_MINUTES}m`);
+        const unlockLink = `${apiUrl()}/login/unlock?token=${unlockToken}`;
+
+        await sendAccountLockedEmail(user.email, user.name, unlockLink, LOGIN_LOCK_MINUTES);
+    }
+};
+
+// Moves the guest cart sent in X-Cart-Token (if any) into the user's cart
+const mergeCartOnSignIn = async (req, user) => {
+    const merged = await mergeGuestCart(req.headers[CART_TOKEN_HEADER], user.id);
+
+    if (merged && user.cart) {
+        user.cart = await prisma.cart.findMany({ where: { userId: user.id } });
+    }
+};
+
 /**
  * @swagger
  * tags:
@@ -20,7 +74,9 @@ dotenv.config();
  *     tags:
  *       - User
  *     summary: Login a user
- *     description: Authenticates a user and returns a JWT token.
+ *     description: Authenticates a user and returns a short-lived access token plus a refresh token. Repeated failures are throttled per account and per IP, and the account is temporarily locked after too many failed attempts.
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     requestBody:
  *       required: true
  *       content:
@@ -34,7 +90,7 @@ dotenv.config();
  *                 type: string
  *     responses:
  *       200:
- *         description: JWT token
+ *         description: Access and refresh tokens
  *         content:
  *           application/json:
  *             schema:
@@ -42,10 +98,28 @@ dotenv.config();
  *               properties:
  *                 token:
  *                   type: string
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /token/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: When true no tokens are returned; send challengeToken and a code to POST /login/2fa
+ *                 challengeToken:
+ *                   type: string
  *       400:
  *         description: Bad request
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Account is suspended
+ *       423:
+ *         description: Account is temporarily locked
+ *       429:
+ *         description: Too many attempts, retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Internal server error
  */
@@ -57,21 +131,48 @@ const login = async (req, res) => {
             return res.status(400).json({ error: 'Username and password are required' });
         }
 
+        const ip = req.ip;
+
+        const ipRetryAfter = await getIpRetryAfter(ip);
+        if (ipRetryAfter > 0) {
+            res.set('Retry-After', String(ipRetryAfter));
+            return res.status(429).json({ error: 'Too many failed login attempts. Please try again later' });
+        }
+
         const user = await prisma.user.findFirst({ where: { username: username }, include: { cart: true } });
 
         if (!user) {
+            await recordFailedLogin({ ip, username });
             return res.status(401).json({ error: 'Invalid username or password' });
         }
 
+        if (rejectThrottledAccount(res, user)) {
+            return;
+        }
+
         const passwordMatch = await bcrypt.compare(password, user.password);
 
         if (!passwordMatch) {
+            await handleFailedLogin(ip, username, user);
             return res.status(401).json({ error: 'Invalid username or password' });
         }
 
-        const token = jwt.sign({ userid: user.id }, process.env.JWT_SECRET, { expiresIn: '999999999h' });
+        if (user.suspendedAt) {
+            return res.status(403).json({ error: 'Account is suspended' });
+        }
+
+        // The attempt only counts as successful once the second factor is verified in /login/2fa
+        if (user.twoFactorEnabled) {
+            const challengeToken = signPurposeToken('2fa-challenge', { userid: user.id }, TWO_FACTOR_CHALLENGE_TTL);
+            return res.status(200).json({ twoFactorRequired: true, challengeToken });
+        }
+
+        await recordSuccessfulLogin({ ip, username, user });
+        await mergeCartOnSignIn(req, user);
 
-        res.status(200).json({ token, user });
+        const tokens = await issueTokens(user.id);
+
+        res.status(200).json({ ...tokens, user: serializeUser(user) });
     } catch (error) {
         console.error("Login error:", error);
         res.status(500).json({ error: 'Failed to login' });
@@ -80,14 +181,14 @@ const login = async (req, res) => {
 
 /**
  * @swagger
- * /add-to-cart:
+ * /login/2fa:
  *   post:
  *     tags:
  *       - User
- *     summary: Add product to cart
- *     description: Adds a product to the authenticated user's cart. Requires a valid JWT token.
- *     security:
- *       - BearerAuth: []
+ *     summary: Complete a login with two-factor authentication
+ *     description: Second step of the login for accounts with 2FA enabled. Takes the challengeToken from /login and either an authenticator code or a recovery code.
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     requestBody:
  *       required: true
  *       content:
@@ -95,153 +196,134 @@ const login = async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               productId:
- *                 type: integer
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Product added to cart
+ *         description: Access and refresh tokens
  *       400:
  *         description: Bad request
  *       401:
- *         description: Unauthorized - Invalid or missing token
- *       404:
- *         description: Product not found
+ *         description: Invalid challenge token or code
+ *       423:
+ *         description: Account is temporarily locked
+ *       429:
+ *         description: Too many attempts, retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Internal server error
  */
-const addToCart = async (req, res) => {
+const loginTwoFactor = async (req, res) => {
     try {
-        const { productId, count = 1 } = req.body;
+        const { challengeToken, code, recoveryCode } = req.body;
 
-        if (!productId) {
-            return res.status(400).json({ error: 'Product ID is required' });
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Challenge token and an authentication or recovery code are required' });
         }
 
-        const authHeader = req.headers['authorization'];
-        if (!authHeader) {
-            return res.status(401).json({ error: 'Unauthorized: No token provided' });
+        let decoded;
+        try {
+            decoded = verifyPurposeToken('2fa-challenge', challengeToken);
+        } catch (error) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token. Please log in again' });
         }
 
-        const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const ip = req.ip;
 
-        const user = await prisma.user.findUnique({ where: { id: decoded.userid } });
+        const ipRetryAfter = await getIpRetryAfter(ip);
+        if (ipRetryAfter > 0) {
+            res.set('Retry-After', String(ipRetryAfter));
+            return res.status(429).json({ error: 'Too many failed login attempts. Please try again later' });
+        }
 
-        if (!user) {
-            return res.status(401).json({ error: 'Unauthorized: Invalid user' });
+        const user = await prisma.user.findUnique({ where: { id: decoded.userid }, include: { cart: true } });
+
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token. Please log in again' });
         }
 
-        const product = await prisma.product.findUnique({ where: { id: productId } });
+        if (rejectThrottledAccount(res, user)) {
+            return;
+        }
 
-        if (!product) {
-            return res.status(404).json({ error: 'Product not found' });
+        if (user.suspendedAt) {
+            return res.status(403).json({ error: 'Account is suspended' });
         }
 
-        const cartItem = await prisma.cart.findFirst({
-            where: {
-                userId: user.id,
-                productId: product.id,
-            },
-        });
+        const valid = await verifySecondFactor(user, { code, recoveryCode });
 
-        if (cartItem) {
-            await prisma.cart.update({
-                where: { id: cartItem.id },
-                data: { count: cartItem.count + count },
-            });
-        } else {
-            // Add new product to cart
-            await prisma.cart.create({
-                data: {
-                    userId: user.id,
-                    productId: product.id,
-                    count: count,
-                },
-            });
+        if (!valid) {
+            await handleFailedLogin(ip, user.username, user);
+            return res.status(401).json({ error: 'Invalid authentication code' });
         }
 
-        res.status(200).json({ message: 'Product added to cart', product });
+        await recordSuccessfulLogin({ ip, username: user.username, user });
+        await mergeCartOnSignIn(req, user);
+
+        const tokens = await issueTokens(user.id);
+
+        res.status(200).json({ ...tokens, user: serializeUser(user) });
     } catch (error) {
-        console.error("Add to cart error:", error);
-        res.status(500).json({ error: 'Failed to add product to cart' });
+        console.error("2FA login error:", error);
+        res.status(500).json({ error: 'Failed to login' });
     }
 };
 
-
 /**
  * @swagger
- * /delete-cart:
- *   post:
+ * /login/unlock:
+ *   get:
  *     tags:
  *       - User
- *     summary: Remove item from cart
- *     description: Removes an item from the authenticated user's cart. Requires a valid JWT token.
- *     security:
- *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               itemId:
- *                 type: integer
+ *     summary: Unlock a locked account
+ *     description: Opened from the link in the account locked email. Clears the lock and the failed attempt counter.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Item removed from cart
+ *         description: Account unlocked
  *       400:
- *         description: Bad request
- *       401:
- *         description: Unauthorized - Invalid or missing token
+ *         description: Token is missing, invalid or expired
  *       500:
  *         description: Internal server error
  */
-const deleteCart = async (req, res) => {
+const unlockAccount = async (req, res) => {
     try {
-        const { itemId } = req.params;
+        const { token } = req.query;
 
-        if (!itemId) {
-            return res.status(400).json({ error: 'Item ID is required' });
+        if (!token) {
+            return res.status(400).json({ error: 'Unlock token is required' });
         }
 
-        const authHeader = req.headers['authorization'];
-        if (!authHeader) {
-            return res.status(401).json({ error: 'Unauthorized: No token provided' });
+        let decoded;
+        try {
+            decoded = verifyPurposeToken('unlock-account', token);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid or expired unlock token' });
         }
 
-        const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
         const user = await prisma.user.findUnique({ where: { id: decoded.userid } });
 
         if (!user) {
-            return res.status(401).json({ error: 'Unauthorized: Invalid user' });
-        }
-
-        const cartItem = await prisma.cart.findFirst({
-            where: {
-                userId: user.id,
-                productId: itemId,
-            },
-        });
-
-        if (!cartItem) {
-            return res.status(404).json({ error: 'Item not found in cart' });
+            return res.status(400).json({ error: 'Invalid or expired unlock token' });
         }
 
-        await prisma.cart.delete({
-            where: { id: cartItem.id },
-        });
+        await unlockUser(user.id);
 
-        res.status(200).json({ message: 'Item removed from cart successfully' });
+        res.status(200).json({ message: 'Account unlocked. You can log in again' });
     } catch (error) {
-        console.error("Error removing item from cart:", error);
-        res.status(500).json({ error: 'Failed to remove item from cart' });
+        console.error("Unlock account error:", error);
+        res.status(500).json({ error: 'Failed to unlock account' });
     }
 };
 
-
 /**
  * @swagger
  * /register:
@@ -249,7 +331,9 @@ const deleteCart = async (req, res) => {
  *     tags:
  *       - User
  *     summary: Register a new user
- *     description: Creates a new user account.
+ *     description: Creates a new user account and emails a link to verify the address.
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
  *     requestBody:
  *       required: true
  *       content:
@@ -283,6 +367,10 @@ const deleteCart = async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 message:
  *                   type: string
  *                 user:
@@ -324,11 +412,13 @@ const register = async (req, res) => {
             },
         });
 
-        const token = jwt.sign({ userid: newUser.id }, process.env.JWT_SECRET, { expiresIn: '99999999h' });
+        await mergeCartOnSignIn(req, newUser);
+
+        const tokens = await issueTokens(newUser.id);
 
-        await sendWelcomeEmail(newUser.email, newUser.name);
+        await sendEmailVerification(newUser);
 
-        res.status(201).json({ token, message: 'User registered successfully', user: newUser });
+        res.status(201).json({ ...tokens, message: 'User registered successfully', user: serializeUser(newUser) });
     } catch (error) {
         console.error("Register error:", error);
         res.status(500).json({ error: 'Failed to register user' });
@@ -339,7 +429,7 @@ const register = async (req, res) => {
 
 module.exports = {
     login,
-    addToCart,
-    deleteCart,
+    loginTwoFactor,
+    unlockAccount,
     register
 };
@@ -0,0 +1,252 @@
+const bcrypt = require('bcrypt');
+const prisma = require('../utils/prismaClient');
+const { serializeUser } = require('../utils/serializers');
+const { revokeOtherSessions } = require('../utils/tokens');
+
+const GENDERS = ['MALE', 'FEMALE', 'OTHER', 'GAY', 'TRANS'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         user_img:
+ *           type: string
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: "John Doe"
+ *         username:
+ *           type: string
+ *           example: "johndoe"
+ *         phone:
+ *           type: string
+ *           example: "+1234567890"
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         dob:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         gender:
+ *           type: string
+ *           enum: [MALE, FEMALE, OTHER, GAY, TRANS]
+ *         email:
+ *           type: string
+ *           example: "johndoe@example.com"
+ *         emailVerified:
+ *           type: boolean
+ *         role:
+ *           type: string
+ *           enum: [ADMIN, USER]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Me
+ *     description: Profile of the authenticated user
+ */
+
+/**
+ * @swagger
+ * /me:
+ *   get:
+ *     tags:
+ *       - Me
+ *     summary: Get the authenticated user's profile
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+const getMe = async (req, res) => {
+    res.status(200).json(serializeUser(req.user));
+};
+
+/**
+ * @swagger
+ * /me:
+ *   patch:
+ *     tags:
+ *       - Me
+ *     summary: Update the authenticated user's profile
+ *     description: Only the fields sent are changed. Username, email, role and password can not be changed here.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *                 nullable: true
+ *               dob:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               gender:
+ *                 type: string
+ *                 enum: [MALE, FEMALE, OTHER, GAY, TRANS]
+ *               user_img:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid field value
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const updateMe = async (req, res) => {
+    try {
+        const { name, phone, address, dob, gender, user_img } = req.body;
+        const data = {};
+
+        if (name !== undefined) {
+            if (!name) {
+                return res.status(400).json({ error: 'Name can not be empty' });
+            }
+            data.name = name;
+        }
+
+        if (phone !== undefined) {
+            if (!phone) {
+                return res.status(400).json({ error: 'Phone can not be empty' });
+            }
+            data.phone = phone;
+        }
+
+        if (address !== undefined) data.address = address || null;
+
+        if (dob !== undefined) {
+            if (dob === null || dob === '') {
+                data.dob = null;
+            } else {
+                const parsedDob = new Date(dob);
+                if (isNaN(parsedDob.getTime())) {
+                    return res.status(400).json({ error: 'Invalid date of birth' });
+                }
+                data.dob = parsedDob;
+            }
+        }
+
+        if (gender !== undefined) {
+            const normalizedGender = String(gender).toUpperCase();
+            if (!GENDERS.includes(normalizedGender)) {
+                return res.status(400).json({ error: `Gender must be one of ${GENDERS.join(', ')}` });
+            }
+            data.gender = normalizedGender;
+        }
+
+        if (user_img !== undefined) {
+            if (!user_img) {
+                return res.status(400).json({ error: 'Image URL can not be empty' });
+            }
+            data.user_img = user_img;
+        }
+
+        const updatedUser = await prisma.user.update({
+            where: { id: req.user.id },
+            data,
+        });
+
+        res.status(200).json(serializeUser(updatedUser));
+    } catch (error) {
+        console.error("Update profile error:", error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+};
+
+/**
+ * @swagger
+ * /me/password:
+ *   post:
+ *     tags:
+ *       - Me
+ *     summary: Change the password
+ *     description: Requires the current password. Other sessions of the user are logged out; the current one stays active.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Missing fields
+ *       401:
+ *         description: Current password is incorrect
+ *       500:
+ *         description: Internal server error
+ */
+const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
+        }
+
+        const passwordMatch = await bcrypt.compare(currentPassword, req.user.password);
+
+        if (!passwordMatch) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { password: hashedPassword },
+        });
+
+        await revokeOtherSessions(req.user.id, req.session.id);
+
+        res.status(200).json({ message: 'Password changed successfully' });
+    } catch (error) {
+        console.error("Change password error:", error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+};
+
+module.exports = {
+    getMe,
+    updateMe,
+    changePassword
+};
@@ -0,0 +1,589 @@
+const prisma = require('../utils/prismaClient');
+const { findUserAddress } = require('../utils/addresses');
+const { ORDER_STATUSES, OrderError, placeOrder } = require('../utils/orders');
+const { PAYMENT_IN_PROGRESS, transitionOrder } = require('../utils/orderStatus');
+const { INVOICEABLE_STATUSES, getOrCreateInvoice, invoiceFileName } = require('../utils/invoice');
+const { convertOrder } = require('../utils/currency');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Orders
+ *     description: Checkout and the customer's order history
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderStatusHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         fromStatus:
+ *           type: string
+ *           nullable: true
+ *           description: Null for the entry written at checkout
+ *         toStatus:
+ *           type: string
+ *         changedById:
+ *           type: integer
+ *           nullable: true
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     OrderItem:
+ *       type: object
+ *       description: Product details are copied at checkout and do not change with the catalogue
+ *       properties:
+ *         id:
+ *           type: integer
+ *         productId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null once the product has been deleted
+ *         variantId:
+ *           type: integer
+ *           nullable: true
+ *         productName:
+ *           type: string
+ *           example: "Basic T-Shirt"
+ *         sku:
+ *           type: string
+ *           nullable: true
+ *         color:
+ *           type: string
+ *           nullable: true
+ *         size:
+ *           type: string
+ *           nullable: true
+ *         unitPrice:
+ *           type: number
+ *           example: 100
+ *         discount:
+ *           type: integer
+ *           description: Product discount percentage at checkout
+ *           example: 10
+ *         discountedUnitPrice:
+ *           type: number
+ *           example: 90
+ *         count:
+ *           type: integer
+ *           example: 2
+ *         lineTotal:
+ *           type: number
+ *           example: 180
+ *         taxRate:
+ *           type: number
+ *           description: Tax percentage applied to the line at checkout
+ *           example: 18
+ *         taxAmount:
+ *           type: number
+ *           example: 32.4
+ *         couponDiscount:
+ *           type: number
+ *           description: This line's share of the order's coupon discount
+ *           example: 0
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         userId:
+ *           type: integer
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [PENDING, PAID, PACKED, SHIPPED, DELIVERED, CANCELLED, REFUNDED]
+ *         shippingAddress:
+ *           type: object
+ *           description: Copy of the address book entry used at checkout
+ *           properties:
+ *             recipient:
+ *               type: string
+ *             line1:
+ *               type: string
+ *             line2:
+ *               type: string
+ *               nullable: true
+ *             city:
+ *               type: string
+ *             region:
+ *               type: string
+ *               nullable: true
+ *             postalCode:
+ *               type: string
+ *               nullable: true
+ *             country:
+ *               type: string
+ *             phone:
+ *               type: string
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         itemCount:
+ *           type: integer
+ *           example: 2
+ *         subtotal:
+ *           type: number
+ *           example: 180
+ *         discountTotal:
+ *           type: number
+ *           example: 20
+ *         shippingMethodId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null once the method has been deleted
+ *         shippingMethodName:
+ *           type: string
+ *           nullable: true
+ *           example: "Standard"
+ *         shippingCost:
+ *           type: number
+ *           example: 5
+ *         pricesIncludeTax:
+ *           type: boolean
+ *           description: Whether the item prices already contained the tax
+ *         taxTotal:
+ *           type: number
+ *           example: 32.4
+ *         taxLines:
+ *           type: array
+ *           description: Tax per rate
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "VAT"
+ *               rate:
+ *                 type: number
+ *                 example: 18
+ *               amount:
+ *                 type: number
+ *                 example: 32.4
+ *         couponCode:
+ *           type: string
+ *           nullable: true
+ *           example: "SAVE10"
+ *         couponDiscount:
+ *           type: number
+ *           example: 0
+ *         total:
+ *           type: number
+ *           description: subtotal less couponDiscount plus shippingCost, plus taxTotal unless prices include tax
+ *           example: 217.4
+ *         currency:
+ *           type: string
+ *           description: Currency the order was placed in. Every amount of the order and its items is shown in it
+ *           example: "EUR"
+ *         exchangeRate:
+ *           type: number
+ *           description: Units of currency per unit of the base currency at checkout; payments are charged in the base currency
+ *           example: 0.92
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
+ *         history:
+ *           type: array
+ *           description: Status changes, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/OrderStatusHistory'
+ *         payments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Payment'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /orders/checkout:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Place an order from the cart
+ *     description: Checks every cart item against the available stock, copies names and prices into a new PENDING order, takes the items out of stock and empties the cart. Without an addressId the default shipping address is used, and without a shippingMethodId the cheapest method from POST /shipping/quote. Items are taxed at the rates of the shipping address. A coupon applied to the cart is checked again and used up. The order records the currency chosen with ?currency= or X-Currency and its exchange rate, and is always shown in that currency.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: integer
+ *                 description: Address book entry to ship to
+ *               shippingMethodId:
+ *                 type: integer
+ *                 description: One of the methods returned by POST /shipping/quote
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Order placed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Cart is empty, no shipping address, or an invalid shippingMethodId
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Address not found
+ *       409:
+ *         description: Not enough stock, a product needs a variant chosen, the address can not be shipped to with the chosen method, or the cart's coupon can no longer be used
+ *       500:
+ *         description: Internal server error
+ */
+const checkout = async (req, res) => {
+    try {
+        const { addressId, shippingMethodId, note } = req.body || {};
+
+        if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+            return res.status(400).json({ error: 'Note must be a string of at most 500 characters' });
+        }
+
+        let shippingAddress;
+        if (addressId !== undefined && addressId !== null) {
+            shippingAddress = await findUserAddress(req.user.id, addressId);
+
+            if (!shippingAddress) {
+                return res.status(404).json({ error: 'Address not found' });
+            }
+        } else {
+            shippingAddress = await prisma.address.findFirst({
+                where: { userId: req.user.id, isDefaultShipping: true },
+            });
+
+            if (!shippingAddress) {
+                return res.status(400).json({ error: 'addressId is required when no default shipping address is set' });
+            }
+        }
+
+        if (shippingMethodId !== undefined && shippingMethodId !== null && !Number.isInteger(Number(shippingMethodId))) {
+            return res.status(400).json({ error: 'shippingMethodId must be an integer' });
+        }
+
+        const order = await placeOrder(req.user.id, { shippingAddress, shippingMethodId, note, currency: req.currency });
+
+        res.status(201).json(convertOrder(order));
+    } catch (error) {
+        if (error instanceof OrderError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Checkout error:", error);
+        res.status(500).json({ error: 'Failed to place order' });
+    }
+};
+
+/**
+ * @swagger
+ * /orders:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: List my orders
+ *     description: Newest first, without their items.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PAID, PACKED, SHIPPED, DELIVERED, CANCELLED, REFUNDED]
+ *     responses:
+ *       200:
+ *         description: A page of orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalOrders:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *                     pageSize:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const getOrders = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+
+        const pageNumber = parseInt(page, 10) || 1;
+        const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+
+        const where = { userId: req.user.id };
+        if (status && ORDER_STATUSES.includes(String(status).toUpperCase())) where.status = String(status).toUpperCase();
+
+        const orders = await prisma.order.findMany({
+            where,
+            orderBy: { id: 'desc' },
+            skip: (pageNumber - 1) * pageSize,
+            take: pageSize,
+        });
+
+        const totalOrders = await prisma.order.count({ where });
+
+        res.status(200).json({
+            data: orders.map(convertOrder),
+            meta: {
+                totalOrders,
+                totalPages: Math.ceil(totalOrders / pageSize),
+                currentPage: pageNumber,
+                pageSize
+            }
+        });
+    } catch (error) {
+        console.error("Get orders error:", error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+};
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Get one of my orders with its items, status history and payments
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+const getOrderById = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Scoped to the owner, so other users' orders look the same as missing ones
+        const order = await prisma.order.findFirst({
+            where: { id, userId: req.user.id },
+            include: {
+                items: { orderBy: { id: 'asc' } },
+                history: { orderBy: { id: 'asc' } },
+                payments: { orderBy: { id: 'asc' } },
+            },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        res.status(200).json(convertOrder(order));
+    } catch (error) {
+        console.error("Get order error:", error);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+};
+
+/**
+ * @swagger
+ * /orders/{id}/cancel:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Cancel one of my orders
+ *     description: Only possible while the order is still PENDING and has no payment in progress (PENDING or AUTHORIZED). The items go back into stock.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Reason for cancelling
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is no longer pending, or has a payment in progress
+ *       500:
+ *         description: Internal server error
+ */
+const cancelOrder = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const { note } = req.body || {};
+
+        const order = await transitionOrder(id, 'CANCELLED', {
+            userId: req.user.id,
+            changedById: req.user.id,
+            note: typeof note === 'string' ? note.slice(0, 500) : null,
+        });
+
+        res.status(200).json(convertOrder(order));
+    } catch (error) {
+        if (error instanceof OrderError) {
+            const message = error.status === 409 && error.message !== PAYMENT_IN_PROGRESS ? 'Only pending orders can be cancelled' : error.message;
+            return res.status(error.status).json({ error: message });
+        }
+        console.error("Cancel order error:", error);
+        res.status(500).json({ error: 'Failed to cancel order' });
+    }
+};
+
+/**
+ * @swagger
+ * /orders/{id}/invoice:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Download the PDF invoice of one of my orders
+ *     description: The invoice is issued with the next sequential invoice number the first time it is requested and stored in a private S3 bucket; this endpoint is the only way to get it. Only orders that have been paid have an invoice.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The invoice
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order has not been paid
+ *       500:
+ *         description: Internal server error
+ */
+const getInvoice = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const order = await prisma.order.findFirst({
+            where: { id, userId: req.user.id },
+            include: { items: { orderBy: { id: 'asc' } } },
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!INVOICEABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({ error: 'Invoices are only available for paid orders' });
+        }
+
+        const { invoice, pdf } = await getOrCreateInvoice(order);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${invoiceFileName(invoice)}"`,
+        });
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error("Get invoice error:", error);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+};
+
+module.exports = {
+    checkout,
+    getOrders,
+    getOrderById,
+    cancelOrder,
+    getInvoice
+};
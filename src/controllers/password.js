@@ -0,0 +1,163 @@
+const bcrypt = require('bcrypt');
+const dotenv = require('dotenv');
+const prisma = require('../utils/prismaClient');
+const { hashToken, generateOpaqueToken, revokeAllSessions } = require('../utils/tokens');
+const { sendPasswordResetEmail } = require('../email/email');
+
+dotenv.config();
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Password
+ *     description: Password recovery
+ */
+
+/**
+ * @swagger
+ * /password/forgot:
+ *   post:
+ *     tags:
+ *       - Password
+ *     summary: Request a password reset email
+ *     description: Emails a single-use reset link if an account with this email exists. Always responds with 200 so the endpoint can not be used to discover registered emails.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Email is required
+ *       500:
+ *         description: Internal server error
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await prisma.user.findFirst({ where: { email } });
+
+        if (user) {
+            const token = generateOpaqueToken(32);
+
+            // Only the newest link stays valid
+            await prisma.$transaction([
+                prisma.passwordResetToken.updateMany({
+                    where: { userId: user.id, usedAt: null },
+                    data: { usedAt: new Date() },
+                }),
+                prisma.passwordResetToken.create({
+                    data: {
+                        userId: user.id,
+                        tokenHash: hashToken(token),
+                        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+                    },
+                }),
+            ]);
+
+            const resetLink = `${process.env.CLIENT_URL}/reset-password?token=${token}`;
+
+            await sendPasswordResetEmail(user.email, user.name, resetLink, PASSWORD_RESET_TTL_MINUTES);
+        }
+
+        res.status(200).json({ message: 'If an account with that email exists, a reset link has been sent' });
+    } catch (error) {
+        console.error("Forgot password error:", error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+};
+
+/**
+ * @swagger
+ * /password/reset:
+ *   post:
+ *     tags:
+ *       - Password
+ *     summary: Reset the password with an emailed token
+ *     description: Sets a new password using the token from the reset email. The token can be used once, and all existing sessions of the user are logged out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password has been reset
+ *       400:
+ *         description: Missing fields or invalid/expired token
+ *       500:
+ *         description: Internal server error
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token and new password are required' });
+        }
+
+        const resetToken = await prisma.passwordResetToken.findUnique({
+            where: { tokenHash: hashToken(token) },
+        });
+
+        if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        // Claim the token inside the transaction so a concurrent request with the same token can not also succeed
+        const claimed = await prisma.$transaction(async (tx) => {
+            const { count } = await tx.passwordResetToken.updateMany({
+                where: { id: resetToken.id, usedAt: null },
+                data: { usedAt: new Date() },
+            });
+
+            if (count === 0) {
+                return false;
+            }
+
+            await tx.user.update({
+                where: { id: resetToken.userId },
+                data: { password: hashedPassword },
+            });
+
+            return true;
+        });
+
+        if (!claimed) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        await revokeAllSessions(resetToken.userId);
+
+        res.status(200).json({ message: 'Password has been reset. Please log in again' });
+    } catch (error) {
+        console.error("Reset password error:", error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+};
+
+module.exports = {
+    forgotPassword,
+    resetPassword
+};
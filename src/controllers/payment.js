@@ -0,0 +1,237 @@
+const prisma = require('../utils/prismaClient');
+const { PAYMENT_CURRENCY, getDefaultPaymentProvider, getPaymentProvider } = require('../payments');
+const { handlePaymentEvent, refundDuplicatePayment } = require('../utils/payments');
+const { sendOrderConfirmation } = require('../utils/invoice');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payments
+ *     description: Paying for orders through the configured payment provider
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *         provider:
+ *           type: string
+ *           example: "mock"
+ *         providerRef:
+ *           type: string
+ *           description: The provider's payment intent id
+ *           example: "mock_pi_4f1c2a9e0b7d6c5a3e2f1d0c"
+ *         status:
+ *           type: string
+ *           enum: [PENDING, AUTHORIZED, CAPTURING, SUCCEEDED, FAILED, REFUNDED]
+ *         amount:
+ *           type: number
+ *           example: 180
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         refundedAmount:
+ *           type: number
+ *           example: 0
+ *         refundRef:
+ *           type: string
+ *           nullable: true
+ *         failureReason:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /orders/{id}/pay:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Start paying for one of my orders
+ *     description: Creates a payment intent at the payment provider for the order total. Pass the returned clientSecret to the provider's client SDK; the order becomes PAID once the provider confirms the payment through its webhook, and the customer is emailed an order confirmation with the invoice attached.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Payment intent created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
+ *                 clientSecret:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is not waiting for payment
+ *       500:
+ *         description: Internal server error
+ */
+const createOrderPayment = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const order = await prisma.order.findFirst({ where: { id, userId: req.user.id } });
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (order.status !== 'PENDING') {
+            return res.status(409).json({ error: 'Only pending orders can be paid' });
+        }
+
+        const provider = getDefaultPaymentProvider();
+        const intent = await provider.createIntent({ amount: order.total, currency: PAYMENT_CURRENCY, orderId: order.id });
+
+        const payment = await prisma.$transaction(async (tx) => {
+            // Locks the order's row while it is still PENDING. Cancelling takes the same lock before it
+            // checks for open payments, so an order is never cancelled with a payment that can still succeed
+            const { count } = await tx.order.updateMany({
+                where: { id: order.id, status: 'PENDING' },
+                data: { updatedAt: new Date() },
+            });
+
+            if (count === 0) {
+                return null;
+            }
+
+            return tx.payment.create({
+                data: {
+                    orderId: order.id,
+                    provider: provider.name,
+                    providerRef: intent.providerRef,
+                    status: intent.status,
+                    amount: order.total,
+                    currency: PAYMENT_CURRENCY,
+                },
+            });
+        });
+
+        if (!payment) {
+            return res.status(409).json({ error: 'Only pending orders can be paid' });
+        }
+
+        res.status(201).json({ payment, clientSecret: intent.clientSecret });
+    } catch (error) {
+        console.error("Create payment error:", error);
+        res.status(500).json({ error: 'Failed to start payment' });
+    }
+};
+
+/**
+ * @swagger
+ * /payments/webhook/{provider}:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Payment provider webhook
+ *     description: Called by the payment provider, not by clients. The signature is checked against the raw request body, and events are applied at most once, so redelivered events are acknowledged without changing anything.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 example: "evt_1"
+ *               type:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.succeeded, payment.failed]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   providerRef:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: Unknown provider
+ *       500:
+ *         description: Internal server error
+ */
+const paymentWebhook = async (req, res) => {
+    const provider = getPaymentProvider(req.params.provider);
+
+    if (!provider) {
+        return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    let event;
+    try {
+        event = provider.verifyWebhook(req.rawBody, req.headers);
+    } catch (error) {
+        console.error("Webhook verification error:", error.message);
+        return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    if (!event.id || !event.type) {
+        return res.status(400).json({ error: 'Malformed webhook event' });
+    }
+
+    try {
+        const { result, paidOrderId, duplicatePaymentId } = await handlePaymentEvent(provider.name, event, req.body);
+
+        res.status(200).json({ received: true, result });
+
+        // After answering, so a slow PDF upload, mail server or refund can not make the provider time out
+        // and deliver the event again. Neither of these throws
+        if (paidOrderId) {
+            sendOrderConfirmation(paidOrderId);
+        }
+        if (duplicatePaymentId) {
+            refundDuplicatePayment(duplicatePaymentId);
+        }
+    } catch (error) {
+        // A non-2xx answer makes the provider deliver the event again later
+        console.error("Payment webhook error:", error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+};
+
+module.exports = {
+    createOrderPayment,
+    paymentWebhook
+};
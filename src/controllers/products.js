@@ -1,5 +1,103 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { Prisma } = require('@prisma/client');
+// The shared client reads the Decimal price columns back as numbers
+const prisma = require('../utils/prismaClient');
+const { parseTaxClassId } = require('../utils/tax');
+const { parseMeasurement } = require('../utils/shipping');
+const { discountedPrice } = require('../utils/cart');
+const { effectiveDiscount, getActiveSales } = require('../utils/sales');
+const { convertProduct } = require('../utils/currency');
+const { parseMoney } = require('../utils/money');
+
+// Weight (kg) and dimensions (cm) are optional; undefined leaves them as they are and null clears them.
+// Returns { data } or { error }
+const parseMeasurements = (body) => {
+    const data = {};
+
+    for (const field of ['weight', 'length', 'width', 'height']) {
+        const { value, error } = parseMeasurement(body[field], field);
+        if (error) {
+            return { error };
+        }
+        data[field] = value;
+    }
+
+    return { data };
+};
+
+// Adds what a product sells at right now: the best of its own discount and the running sales, the
+// price after it and the sale it comes from (null when it is the product's own discount)
+const withEffectivePrice = (product, sales) => {
+    const { discount, sale } = effectiveDiscount(product, sales);
+    const discounted = { ...product, discount };
+
+    const priced = {
+        ...product,
+        effectiveDiscount: discount,
+        effectivePrice: discountedPrice(discounted),
+        sale: sale ? { id: sale.id, name: sale.name, endsAt: sale.endsAt } : null,
+    };
+    if (product.variants) {
+        priced.variants = product.variants.map((variant) => ({ ...variant, effectivePrice: discountedPrice(discounted, variant) }));
+    }
+    return priced;
+};
+
+// A product as clients see it: with its effective price, and every price in the request's currency
+const presentProduct = (product, sales, currency) => convertProduct(withEffectivePrice(product, sales), currency);
+
+// Columns GET /products/all sorts by, besides effectivePrice
+const PRODUCT_SORT_FIELDS = ['id', 'name', 'price', 'discount', 'stock', 'weight', 'averageRating', 'reviewCount', 'createdTime', 'updatedTime'];
+
+// The filters of GET /products/all as SQL conditions on "Product" p
+const productFilterSql = (where) => {
+    const conditions = [Prisma.sql`TRUE`];
+
+    if (where.categoryId !== undefined) conditions.push(Prisma.sql`p."categoryId" = ${where.categoryId}`);
+    if (where.subcategoryId !== undefined) conditions.push(Prisma.sql`p."subcategoryId" = ${where.subcategoryId}`);
+    if (where.brandsId !== undefined) conditions.push(Prisma.sql`p."brandsId" = ${where.brandsId}`);
+    if (where.Colors) conditions.push(Prisma.sql`p."Colors" && CAST(${where.Colors.hasSome} AS "eColors"[])`);
+    if (where.Size) conditions.push(Prisma.sql`p."Size" && CAST(${where.Size.hasSome} AS "eSize"[])`);
+
+    return Prisma.join(conditions, ' AND ');
+};
+
+// Filters, sorts and pages products by their effective price in the database. It prices them the way
+// withEffectivePrice does: the best of the product's own discount and the running sales covering it
+// (saleCovers), taken off the price rounded half up to cents. Price bounds are in the request's
+// currency. Returns { ids, total }, ids in page order
+const findByEffectivePrice = async (where, { currency, min, max, discount, sortBy, sortOrder, skip, take }) => {
+    const now = new Date();
+    const conditions = [Prisma.sql`TRUE`];
+
+    if (!isNaN(min)) conditions.push(Prisma.sql`ROUND("effectivePrice" * CAST(${currency.rate} AS numeric), CAST(${currency.decimals} AS integer)) >= CAST(${min} AS numeric)`);
+    if (!isNaN(max)) conditions.push(Prisma.sql`ROUND("effectivePrice" * CAST(${currency.rate} AS numeric), CAST(${currency.decimals} AS integer)) <= CAST(${max} AS numeric)`);
+    if (discount === 'true') conditions.push(Prisma.sql`"effectiveDiscount" > 0`);
+    if (discount === 'false') conditions.push(Prisma.sql`"effectiveDiscount" = 0`);
+
+    const priced = Prisma.sql`
+        SELECT p.*, d.discount AS "effectiveDiscount", p.price - ROUND(p.price * d.discount / 100.0, 2) AS "effectivePrice"
+        FROM "Product" p
+        CROSS JOIN LATERAL (
+            SELECT GREATEST(p.discount, COALESCE(MAX(s.discount), 0)) AS discount
+            FROM "Sale" s
+            WHERE s.active AND s."startsAt" <= ${now} AND s."endsAt" > ${now}
+                AND (cardinality(s."productIds") + cardinality(s."categoryIds") + cardinality(s."brandIds") = 0
+                    OR p.id = ANY(s."productIds")
+                    OR p."categoryId" = ANY(s."categoryIds")
+                    OR p."brandsId" = ANY(s."brandIds"))
+        ) d
+        WHERE ${productFilterSql(where)}`;
+    const matching = Prisma.join(conditions, ' AND ');
+
+    const rows = await prisma.$queryRaw`
+        SELECT id FROM (${priced}) priced
+        WHERE ${matching}
+        ORDER BY ${Prisma.raw(`"${sortBy}" ${sortOrder === 'asc' ? 'ASC' : 'DESC'}`)}, id ASC
+        LIMIT ${take} OFFSET ${skip}`;
+    const [{ count }] = await prisma.$queryRaw`SELECT COUNT(*) AS count FROM (${priced}) priced WHERE ${matching}`;
+
+    return { ids: rows.map((row) => row.id), total: Number(count) };
+};
 
 /**
  * @swagger
@@ -24,6 +122,68 @@ const prisma = new PrismaClient();
  *           type: number
  *           format: float
  *           example: 99.99
+ *         effectiveDiscount:
+ *           type: integer
+ *           description: Discount in effect right now, the best of the product's own discount and its running sales
+ *           example: 25
+ *         effectivePrice:
+ *           type: number
+ *           format: float
+ *           description: Price after the effective discount
+ *           example: 74.99
+ *         sale:
+ *           type: object
+ *           nullable: true
+ *           description: The running sale giving the effective discount, null when it is the product's own
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             endsAt:
+ *               type: string
+ *               format: date-time
+ *         currency:
+ *           type: string
+ *           description: Currency of price and effectivePrice, chosen with ?currency= or X-Currency
+ *           example: "USD"
+ *         averageRating:
+ *           type: number
+ *           description: Average star rating of the approved reviews, 0 without any
+ *           example: 4.33
+ *         reviewCount:
+ *           type: integer
+ *           description: Number of approved reviews
+ *           example: 12
+ *         stock:
+ *           type: integer
+ *           nullable: true
+ *           description: Units in stock, null when stock is not tracked
+ *           example: 25
+ *         weight:
+ *           type: number
+ *           nullable: true
+ *           description: Shipping weight in kg, used for weight-based shipping rates
+ *           example: 0.4
+ *         length:
+ *           type: number
+ *           nullable: true
+ *           description: Package length in cm
+ *           example: 30
+ *         width:
+ *           type: number
+ *           nullable: true
+ *           description: Package width in cm
+ *           example: 20
+ *         height:
+ *           type: number
+ *           nullable: true
+ *           description: Package height in cm
+ *           example: 5
+ *         taxClassId:
+ *           type: integer
+ *           nullable: true
+ *           description: Overrides the category's tax class; null uses the category's
  *         images:
  *           type: array
  *           items:
@@ -58,6 +218,11 @@ const prisma = new PrismaClient();
  *           type: string
  *           format: date-time
  *           example: "2024-08-31T12:30:00Z"
+ *         variants:
+ *           type: array
+ *           description: Only included by GET /products/get/{id}
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
  *       required:
  *         - name
  *         - description
@@ -84,17 +249,34 @@ const prisma = new PrismaClient();
  *     responses:
  *       201:
  *         description: The product was created successfully
+ *       400:
+ *         description: Price is not a non-negative amount with at most two decimals, or a weight or dimension is not a non-negative number
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Failed to create product
  */
 const createProduct = async (req, res) => {
     try {
+        const price = parseMoney(req.body.price);
+        if (price === null) {
+            return res.status(400).json({ error: 'Price must be a non-negative amount with at most two decimals' });
+        }
+
+        const measurements = parseMeasurements(req.body);
+        if (measurements.error) {
+            return res.status(400).json({ error: measurements.error });
+        }
+
         const newProduct = await prisma.product.create({
             data: {
                 name: req.body.name,
                 description: req.body.description,
-                price: parseFloat(req.body.price), // Ensure price is a float
+                price,
                 discount: parseInt(req.body.discount, 10), // Ensure discount is an integer
+                stock: req.body.stock === undefined || req.body.stock === null ? null : parseInt(req.body.stock, 10), // Optional, null means stock is not tracked
+                ...measurements.data,
+                taxClassId: parseTaxClassId(req.body.taxClassId),
                 images: req.body.images, // Assuming this is an array of strings
                 categoryId: parseInt(req.body.categoryId, 10), // Ensure categoryId is an integer
                 subcategoryId: req.body.subcategoryId ? parseInt(req.body.subcategoryId, 10) : null, // Optional
@@ -132,7 +314,8 @@ const createProduct = async (req, res) => {
  *         name: sortBy
  *         schema:
  *           type: string
- *         description: Field to sort by
+ *           enum: [id, name, price, discount, stock, weight, averageRating, reviewCount, createdTime, updatedTime, effectivePrice]
+ *         description: Field to sort by; effectivePrice sorts by the price after discounts and running sales, averageRating and reviewCount by approved reviews
  *       - in: query
  *         name: sortOrder
  *         schema:
@@ -168,17 +351,19 @@ const createProduct = async (req, res) => {
  *         name: minPrice
  *         schema:
  *           type: number
- *         description: Minimum price filter
+ *         description: Minimum effective price in the chosen currency, after discounts and running sales
  *       - in: query
  *         name: maxPrice
  *         schema:
  *           type: number
- *         description: Maximum price filter
+ *         description: Maximum effective price in the chosen currency, after discounts and running sales
  *       - in: query
  *         name: discount
  *         schema:
  *           type: boolean
- *         description: Filter by products with discounts
+ *         description: Filter by products with an effective discount, their own or from a running sale
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *     responses:
  *       200:
  *         description: A list of products
@@ -202,6 +387,8 @@ const createProduct = async (req, res) => {
  *                       type: integer
  *                     pageSize:
  *                       type: integer
+ *       400:
+ *         description: sortBy is not a sortable field
  *       500:
  *         description: Failed to fetch products
  */
@@ -225,6 +412,10 @@ const getProducts = async (req, res) => {
         const pageNumber = parseInt(page, 10) || 1;
         const pageSize = parseInt(limit, 10) || 10;
 
+        if (sortBy !== 'effectivePrice' && !PRODUCT_SORT_FIELDS.includes(sortBy)) {
+            return res.status(400).json({ error: `sortBy must be one of ${[...PRODUCT_SORT_FIELDS, 'effectivePrice'].join(', ')}` });
+        }
+
         const orderBy = {
             [sortBy]: sortOrder === 'asc' ? 'asc' : 'desc'
         };
@@ -245,29 +436,47 @@ const getProducts = async (req, res) => {
             where.Size = { hasSome: sizeArray };
         }
 
-        if (minPrice && maxPrice) where.price = { gte: parseFloat(minPrice), lte: parseFloat(maxPrice) };
-        else if (minPrice) where.price = { gte: parseFloat(minPrice) };
-        else if (maxPrice) where.price = { lte: parseFloat(maxPrice) };
-
-        if (discount === 'true') where.discount = { gt: 0 };
-        else if (discount === 'false') where.discount = 0;
-
-        const products = await prisma.product.findMany({
-            where,
-            orderBy,
-            skip: (pageNumber - 1) * pageSize,
-            take: pageSize,
-            include: {
-                category: true,
-                subcategory: true,
-                Brands: true,
-            }
-        });
+        const sales = await getActiveSales(prisma);
+        const include = {
+            category: true,
+            subcategory: true,
+            Brands: true,
+        };
 
-        const totalProducts = await prisma.product.count({ where });
+        let products;
+        let totalProducts;
+
+        // Effective prices depend on the running sales, so those queries are priced in SQL and only
+        // the page is loaded
+        if (minPrice || maxPrice || discount === 'true' || discount === 'false' || sortBy === 'effectivePrice') {
+            const { ids, total } = await findByEffectivePrice(where, {
+                currency: req.currency,
+                min: parseFloat(minPrice),
+                max: parseFloat(maxPrice),
+                discount,
+                sortBy,
+                sortOrder,
+                skip: (pageNumber - 1) * pageSize,
+                take: pageSize,
+            });
+
+            const page = await prisma.product.findMany({ where: { id: { in: ids } }, include });
+            products = ids.map((id) => page.find((product) => product.id === id)).filter(Boolean);
+            totalProducts = total;
+        } else {
+            products = await prisma.product.findMany({
+                where,
+                orderBy,
+                skip: (pageNumber - 1) * pageSize,
+                take: pageSize,
+                include,
+            });
+
+            totalProducts = await prisma.product.count({ where });
+        }
 
         res.status(200).json({
-            data: products,
+            data: products.map((product) => presentProduct(product, sales, req.currency)),
             meta: {
                 totalProducts,
                 totalPages: Math.ceil(totalProducts / pageSize),
@@ -295,6 +504,8 @@ const getProducts = async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The ID of the product to retrieve
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *     responses:
  *       200:
  *         description: Product details
@@ -315,9 +526,10 @@ const getProductById = async (req, res) => {
                 category: true,
                 subcategory: true,
                 Brands: true,
+                variants: { orderBy: { id: 'asc' } },
             }
         });
-        if (product) res.status(200).json(product);
+        if (product) res.status(200).json(presentProduct(product, await getActiveSales(prisma), req.currency));
         else res.status(404).json({ error: 'Product not found' });
     } catch (error) {
         console.error(error);
@@ -343,6 +555,8 @@ const getProductById = async (req, res) => {
  *         description: Product deleted successfully
  *       404:
  *         description: Product not found
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Failed to delete product
  */
@@ -375,6 +589,8 @@ const deleteProductById = async (req, res) => {
  *         schema:
  *           type: string
  *         description: The search query string
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *     responses:
  *       200:
  *         description: A list of matching products
@@ -410,7 +626,9 @@ const searchProduct = async (req, res) => {
             }
         });
 
-        res.status(200).json(products);
+        const sales = await getActiveSales(prisma);
+
+        res.status(200).json(products.map((product) => presentProduct(product, sales, req.currency)));
     } catch (error) {
         console.error(error);
         res.status(500).json({ error: 'Failed to search products' });
@@ -444,6 +662,29 @@ const searchProduct = async (req, res) => {
  *                 type: string
  *               price:
  *                 type: number
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *               weight:
+ *                 type: number
+ *                 nullable: true
+ *                 description: In kg
+ *               length:
+ *                 type: number
+ *                 nullable: true
+ *                 description: In cm
+ *               width:
+ *                 type: number
+ *                 nullable: true
+ *                 description: In cm
+ *               height:
+ *                 type: number
+ *                 nullable: true
+ *                 description: In cm
+ *               taxClassId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Null goes back to the category's tax class
  *               categoryId:
  *                 type: integer
  *               SubcategoryId:
@@ -469,8 +710,12 @@ const searchProduct = async (req, res) => {
  *     responses:
  *       200:
  *         description: The updated product data
+ *       400:
+ *         description: Price is not a non-negative amount with at most two decimals, or a weight or dimension is not a non-negative number
  *       404:
  *         description: Product not found
+ *       403:
+ *         description: Forbidden - admin role required
  *       500:
  *         description: Failed to update product
  */
@@ -478,6 +723,16 @@ const editProduct = async (req, res) => {
     try {
         const { id } = req.params;
         console.log(req.body)
+        const price = req.body.price === undefined ? undefined : parseMoney(req.body.price);
+        if (price === null) {
+            return res.status(400).json({ error: 'Price must be a non-negative amount with at most two decimals' });
+        }
+
+        const measurements = parseMeasurements(req.body);
+        if (measurements.error) {
+            return res.status(400).json({ error: measurements.error });
+        }
+
         const updatedProduct = await prisma.product.update({
             where: {
                 id: parseInt(id) 
@@ -485,9 +740,15 @@ const editProduct = async (req, res) => {
             data: {
                 name: req.body.name,
                 description: req.body.description,
-                price: +req.body.price,
+                price,
                 discount: +req.body.discount,
+                stock: req.body.stock === undefined || req.body.stock === null ? req.body.stock : parseInt(req.body.stock, 10),
+                ...measurements.data,
                 images: req.body.images,
+                // null goes back to the category's tax class
+                taxClass: req.body.taxClassId === null
+                    ? { disconnect: true }
+                    : req.body.taxClassId === undefined ? undefined : { connect: { id: parseTaxClassId(req.body.taxClassId) } },
                 category: {
                     connect: { id: req.body.categoryId }
                 },
@@ -526,6 +787,8 @@ const editProduct = async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The ID of the category
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *     responses:
  *       200:
  *         description: A list of products in the specified category
@@ -585,7 +848,9 @@ const getProductsByCategory = async (req, res) => {
             }
         });
 
-        res.status(200).json(products);
+        const sales = await getActiveSales(prisma);
+
+        res.status(200).json(products.map((product) => presentProduct(product, sales, req.currency)));
     } catch (error) {
         console.error(error);
         res.status(500).json({ error: 'Failed to fetch products by category' });
@@ -605,6 +870,8 @@ const getProductsByCategory = async (req, res) => {
  *         schema:
  *           type: integer
  *         description: The ID of the subcategory
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
  *     responses:
  *       200:
  *         description: List of products in the specified subcategory
@@ -634,7 +901,9 @@ const getProductsBySubcategory = async (req, res) => {
             return res.status(404).json({ message: 'No products found in this subcategory' });
         }
 
-        res.status(200).json(products);
+        const sales = await getActiveSales(prisma);
+
+        res.status(200).json(products.map((product) => presentProduct(product, sales, req.currency)));
     } catch (error) {
         console.error(error);
         res.status(500).json({ error: 'Failed to retrieve products' });
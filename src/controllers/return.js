@@ -0,0 +1,289 @@
+const prisma = require('../utils/prismaClient');
+const { parseCount } = require('../utils/cart');
+const { OrderError } = require('../utils/orders');
+const { RETURN_INCLUDE, RETURN_REASONS, createReturnRequest, withEstimatedRefund } = require('../utils/returns');
+const { sendReturnRequestedEmail } = require('../email/email');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Returns
+ *     description: Returning items of delivered orders
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED, RECEIVED, REFUNDING, REFUNDED]
+ *         comment:
+ *           type: string
+ *           nullable: true
+ *         adminNote:
+ *           type: string
+ *           nullable: true
+ *           description: Set by the admin when approving, rejecting or receiving the return
+ *         refundAmount:
+ *           type: number
+ *           nullable: true
+ *           description: Amount refunded, once REFUNDED
+ *         estimatedRefund:
+ *           type: number
+ *           description: Value of the returned units at the prices paid
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               orderItemId:
+ *                 type: integer
+ *               count:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 enum: [DAMAGED, DEFECTIVE, WRONG_ITEM, NOT_AS_DESCRIBED, SIZE_OR_FIT, CHANGED_MIND, OTHER]
+ *               orderItem:
+ *                 $ref: '#/components/schemas/OrderItem'
+ *         decidedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         refundedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Validates the items of a new return. Returns { items } or { error }
+const parseReturnItems = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'items must be a non-empty array' };
+    }
+
+    const parsed = [];
+    for (const item of items) {
+        const orderItemId = Number(item && item.orderItemId);
+        const count = parseCount(item && item.count);
+        const reason = String((item && item.reason) || '').toUpperCase();
+
+        if (!Number.isInteger(orderItemId)) {
+            return { error: 'Each item needs an orderItemId' };
+        }
+        if (!count) {
+            return { error: 'Count must be a positive integer' };
+        }
+        if (!RETURN_REASONS.includes(reason)) {
+            return { error: `Reason must be one of ${RETURN_REASONS.join(', ')}` };
+        }
+
+        parsed.push({ orderItemId, count, reason });
+    }
+
+    return { items: parsed };
+};
+
+/**
+ * @swagger
+ * /orders/{id}/returns:
+ *   post:
+ *     tags:
+ *       - Returns
+ *     summary: Request a return for items of a delivered order
+ *     description: Returns are accepted for DELIVERED orders within RETURN_WINDOW_DAYS (30 by default) of delivery. Each unit can only be part of one open or completed return.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                     count:
+ *                       type: integer
+ *                       minimum: 1
+ *                     reason:
+ *                       type: string
+ *                       enum: [DAMAGED, DEFECTIVE, WRONG_ITEM, NOT_AS_DESCRIBED, SIZE_OR_FIT, CHANGED_MIND, OTHER]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is not delivered, the return window has passed, or more units than are left to return
+ *       500:
+ *         description: Internal server error
+ */
+const createReturn = async (req, res) => {
+    try {
+        const orderId = Number(req.params.id);
+
+        if (!Number.isInteger(orderId)) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const { items, error } = parseReturnItems(req.body.items);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { comment } = req.body;
+        if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > 1000)) {
+            return res.status(400).json({ error: 'Comment must be a string of at most 1000 characters' });
+        }
+
+        const returnRequest = await createReturnRequest(req.user.id, orderId, { items, comment });
+
+        await sendReturnRequestedEmail(req.user.email, req.user.name, returnRequest.id, orderId);
+
+        res.status(201).json(withEstimatedRefund(returnRequest));
+    } catch (error) {
+        if (error instanceof OrderError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Create return error:", error);
+        res.status(500).json({ error: 'Failed to request return' });
+    }
+};
+
+/**
+ * @swagger
+ * /returns:
+ *   get:
+ *     tags:
+ *       - Returns
+ *     summary: List my returns
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Returns, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReturnRequest'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const getMyReturns = async (req, res) => {
+    try {
+        const returns = await prisma.returnRequest.findMany({
+            where: { userId: req.user.id },
+            include: RETURN_INCLUDE,
+            orderBy: { id: 'desc' },
+        });
+
+        res.status(200).json(returns.map(withEstimatedRefund));
+    } catch (error) {
+        console.error("Get returns error:", error);
+        res.status(500).json({ error: 'Failed to fetch returns' });
+    }
+};
+
+/**
+ * @swagger
+ * /returns/{id}:
+ *   get:
+ *     tags:
+ *       - Returns
+ *     summary: Get one of my returns
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The return
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Return not found
+ *       500:
+ *         description: Internal server error
+ */
+const getMyReturn = async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+
+        if (!Number.isInteger(id)) {
+            return res.status(404).json({ error: 'Return not found' });
+        }
+
+        const returnRequest = await prisma.returnRequest.findFirst({
+            where: { id, userId: req.user.id },
+            include: RETURN_INCLUDE,
+        });
+
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Return not found' });
+        }
+
+        res.status(200).json(withEstimatedRefund(returnRequest));
+    } catch (error) {
+        console.error("Get return error:", error);
+        res.status(500).json({ error: 'Failed to fetch return' });
+    }
+};
+
+module.exports = {
+    createReturn,
+    getMyReturns,
+    getMyReturn
+};
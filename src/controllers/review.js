@@ -0,0 +1,528 @@
+const prisma = require('../utils/prismaClient');
+const { PUBLIC_REVIEW_SELECT, isVerifiedPurchaser, refreshProductRating } = require('../utils/reviews');
+const { isUploadUrl } = require('../middlewares/upload.middleware');
+
+const MAX_REVIEW_IMAGES = 5;
+
+const REVIEW_SORTS = {
+    newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+    highest: [{ rating: 'desc' }, { createdAt: 'desc' }],
+    lowest: [{ rating: 'asc' }, { createdAt: 'desc' }],
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Reviews
+ *     description: Star ratings and reviews of products by customers who bought them
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         title:
+ *           type: string
+ *           nullable: true
+ *         body:
+ *           type: string
+ *         images:
+ *           type: array
+ *           description: URLs of images uploaded with POST /img/upload; URLs outside the upload bucket are rejected
+ *           items:
+ *             type: string
+ *         user:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             user_img:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     OwnReview:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Review'
+ *         - type: object
+ *           properties:
+ *             productId:
+ *               type: integer
+ *             status:
+ *               type: string
+ *               enum: [PENDING, APPROVED, REJECTED]
+ *               description: Only APPROVED reviews are shown on the product
+ *             moderationNote:
+ *               type: string
+ *               nullable: true
+ *               description: Why the review was rejected, when the moderator gave a reason
+ */
+
+// Validates a review body. Returns { data } or { error }
+const parseReviewBody = (body, isCreate) => {
+    const data = {};
+
+    if (body.rating !== undefined || isCreate) {
+        const rating = Number(body.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return { error: 'Rating must be a whole number of stars from 1 to 5' };
+        }
+        data.rating = rating;
+    }
+
+    if (body.body !== undefined || isCreate) {
+        if (!body.body || typeof body.body !== 'string' || !body.body.trim()) {
+            return { error: 'Review text is required' };
+        }
+        if (body.body.trim().length > 5000) {
+            return { error: 'Review text must be at most 5000 characters' };
+        }
+        data.body = body.body.trim();
+    }
+
+    if (body.title !== undefined) {
+        if (body.title !== null && typeof body.title !== 'string') {
+            return { error: 'Title must be a string' };
+        }
+        if (body.title && body.title.trim().length > 150) {
+            return { error: 'Title must be at most 150 characters' };
+        }
+        data.title = body.title && body.title.trim() ? body.title.trim() : null;
+    }
+
+    if (body.images !== undefined) {
+        if (!Array.isArray(body.images) || !body.images.every(isUploadUrl)) {
+            return { error: 'images must be an array of URLs returned by POST /img/upload' };
+        }
+        if (body.images.length > MAX_REVIEW_IMAGES) {
+            return { error: `A review can have at most ${MAX_REVIEW_IMAGES} images` };
+        }
+        data.images = body.images;
+    }
+
+    return { data };
+};
+
+const REVIEW_AUTHOR_INCLUDE = { user: { select: { name: true, user_img: true } } };
+
+const presentOwnReview = ({ userId, ...review }) => review;
+
+const findProduct = (id) => {
+    const productId = Number(id);
+    return Number.isInteger(productId) ? prisma.product.findUnique({ where: { id: productId } }) : null;
+};
+
+const findOwnReview = (userId, productId) =>
+    prisma.review.findUnique({
+        where: { productId_userId: { productId, userId } },
+        include: REVIEW_AUTHOR_INCLUDE,
+    });
+
+/**
+ * @swagger
+ * /products/{id}/reviews:
+ *   get:
+ *     tags:
+ *       - Reviews
+ *     summary: List a product's reviews
+ *     description: Only approved reviews are listed and counted in the rating.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, highest, lowest]
+ *           default: newest
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *         description: Only reviews with this many stars
+ *     responses:
+ *       200:
+ *         description: The product's rating and a page of its reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 averageRating:
+ *                   type: number
+ *                   example: 4.33
+ *                 reviewCount:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     totalReviews:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     currentPage:
+ *                       type: integer
+ *                     pageSize:
+ *                       type: integer
+ *       400:
+ *         description: Invalid sort or rating
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+const getProductReviews = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, sort = 'newest', rating } = req.query;
+
+        const pageNumber = parseInt(page, 10) || 1;
+        const pageSize = Math.min(parseInt(limit, 10) || 10, 100);
+
+        if (!Object.keys(REVIEW_SORTS).includes(sort)) {
+            return res.status(400).json({ error: 'Sort must be one of newest, highest, lowest' });
+        }
+
+        const stars = rating === undefined ? null : Number(rating);
+        if (stars !== null && (!Number.isInteger(stars) || stars < 1 || stars > 5)) {
+            return res.status(400).json({ error: 'Rating must be a whole number of stars from 1 to 5' });
+        }
+
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const where = { productId: product.id, status: 'APPROVED' };
+        if (stars) where.rating = stars;
+
+        const reviews = await prisma.review.findMany({
+            where,
+            select: PUBLIC_REVIEW_SELECT,
+            orderBy: REVIEW_SORTS[sort],
+            skip: (pageNumber - 1) * pageSize,
+            take: pageSize,
+        });
+
+        const totalReviews = await prisma.review.count({ where });
+
+        res.status(200).json({
+            averageRating: product.averageRating,
+            reviewCount: product.reviewCount,
+            data: reviews,
+            meta: {
+                totalReviews,
+                totalPages: Math.ceil(totalReviews / pageSize),
+                currentPage: pageNumber,
+                pageSize
+            }
+        });
+    } catch (error) {
+        console.error("Get product reviews error:", error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+};
+
+/**
+ * @swagger
+ * /products/{id}/reviews/mine:
+ *   get:
+ *     tags:
+ *       - Reviews
+ *     summary: Get the user's own review of a product
+ *     description: Includes reviews still waiting for moderation or rejected.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OwnReview'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: The user has not reviewed this product
+ *       500:
+ *         description: Internal server error
+ */
+const getMyReview = async (req, res) => {
+    try {
+        const productId = Number(req.params.id);
+        const review = Number.isInteger(productId) ? await findOwnReview(req.user.id, productId) : null;
+
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        res.status(200).json(presentOwnReview(review));
+    } catch (error) {
+        console.error("Get own review error:", error);
+        res.status(500).json({ error: 'Failed to fetch review' });
+    }
+};
+
+/**
+ * @swagger
+ * /products/{id}/reviews:
+ *   post:
+ *     tags:
+ *       - Reviews
+ *     summary: Review a product
+ *     description: Only customers who received the product in a delivered order can review it, once. The review is shown after a moderator approves it.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *               - body
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 maxItems: 5
+ *                 description: URLs returned by POST /img/upload
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Review submitted for moderation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OwnReview'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: The user has not received this product
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The user already reviewed this product
+ *       500:
+ *         description: Internal server error
+ */
+const createReview = async (req, res) => {
+    try {
+        const { data, error } = parseReviewBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const product = await findProduct(req.params.id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        if (!(await isVerifiedPurchaser(prisma, req.user.id, product.id))) {
+            return res.status(403).json({ error: 'Only customers who received this product can review it' });
+        }
+
+        const review = await prisma.review.create({
+            data: { ...data, productId: product.id, userId: req.user.id },
+            include: REVIEW_AUTHOR_INCLUDE,
+        });
+
+        res.status(201).json(presentOwnReview(review));
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'You already reviewed this product' });
+        }
+        console.error("Create review error:", error);
+        res.status(500).json({ error: 'Failed to create review' });
+    }
+};
+
+/**
+ * @swagger
+ * /products/{id}/reviews/mine:
+ *   patch:
+ *     tags:
+ *       - Reviews
+ *     summary: Edit the user's review of a product
+ *     description: Only the fields sent are changed. The edited review goes back to moderation and is hidden until approved again.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OwnReview'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: The user has not reviewed this product
+ *       500:
+ *         description: Internal server error
+ */
+const updateMyReview = async (req, res) => {
+    try {
+        const { data, error } = parseReviewBody(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const productId = Number(req.params.id);
+        const existing = Number.isInteger(productId) ? await findOwnReview(req.user.id, productId) : null;
+        if (!existing) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        const review = await prisma.$transaction(async (tx) => {
+            const updated = await tx.review.update({
+                where: { id: existing.id },
+                data: { ...data, status: 'PENDING', moderationNote: null, moderatedAt: null },
+                include: REVIEW_AUTHOR_INCLUDE,
+            });
+
+            if (existing.status === 'APPROVED') {
+                await refreshProductRating(tx, productId);
+            }
+            return updated;
+        });
+
+        res.status(200).json(presentOwnReview(review));
+    } catch (error) {
+        console.error("Update review error:", error);
+        res.status(500).json({ error: 'Failed to update review' });
+    }
+};
+
+/**
+ * @swagger
+ * /products/{id}/reviews/mine:
+ *   delete:
+ *     tags:
+ *       - Reviews
+ *     summary: Delete the user's review of a product
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Review deleted
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: The user has not reviewed this product
+ *       500:
+ *         description: Internal server error
+ */
+const deleteMyReview = async (req, res) => {
+    try {
+        const productId = Number(req.params.id);
+        const existing = Number.isInteger(productId) ? await findOwnReview(req.user.id, productId) : null;
+        if (!existing) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        await prisma.$transaction(async (tx) => {
+            await tx.review.delete({ where: { id: existing.id } });
+
+            if (existing.status === 'APPROVED') {
+                await refreshProductRating(tx, productId);
+            }
+        });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error("Delete review error:", error);
+        res.status(500).json({ error: 'Failed to delete review' });
+    }
+};
+
+module.exports = {
+    getProductReviews,
+    getMyReview,
+    createReview,
+    updateMyReview,
+    deleteMyReview
+};
@@ -0,0 +1,133 @@
+const { rotateRefreshToken, revokeSession, revokeAllSessions } = require('../utils/tokens');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Session
+ *     description: Access token refresh and logout
+ */
+
+/**
+ * @swagger
+ * /token/refresh:
+ *   post:
+ *     tags:
+ *       - Session
+ *     summary: Refresh the access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The old refresh token can not be used again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked
+ *       500:
+ *         description: Internal server error
+ */
+const refreshToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const tokens = await rotateRefreshToken(refreshToken);
+
+        if (!tokens) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const { token, refreshToken: nextRefreshToken, expiresIn } = tokens;
+
+        res.status(200).json({ token, refreshToken: nextRefreshToken, expiresIn });
+    } catch (error) {
+        console.error("Refresh token error:", error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+};
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     tags:
+ *       - Session
+ *     summary: Log out the current session
+ *     description: Revokes the session the access token belongs to, together with its refresh token.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const logout = async (req, res) => {
+    try {
+        await revokeSession(req.session.id);
+
+        res.status(200).json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error("Logout error:", error);
+        res.status(500).json({ error: 'Failed to logout' });
+    }
+};
+
+/**
+ * @swagger
+ * /logout/all:
+ *   post:
+ *     tags:
+ *       - Session
+ *     summary: Log out everywhere
+ *     description: Revokes every session of the authenticated user on all devices.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const logoutAll = async (req, res) => {
+    try {
+        const { count } = await revokeAllSessions(req.user.id);
+
+        res.status(200).json({ message: 'Logged out from all sessions', revokedSessions: count });
+    } catch (error) {
+        console.error("Logout all error:", error);
+        res.status(500).json({ error: 'Failed to logout from all sessions' });
+    }
+};
+
+module.exports = {
+    refreshToken,
+    logout,
+    logoutAll
+};
@@ -0,0 +1,172 @@
+const prisma = require('../utils/prismaClient');
+const { getCouponedCart } = require('../utils/coupons');
+const { findUserAddress } = require('../utils/addresses');
+const { quoteShipping } = require('../utils/shipping');
+const { convertAmount } = require('../utils/currency');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Shipping
+ *     description: Shipping zones, methods and quotes
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingQuote:
+ *       type: object
+ *       properties:
+ *         zone:
+ *           type: object
+ *           nullable: true
+ *           description: Null when nothing ships to the address
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *               example: "Domestic"
+ *         subtotal:
+ *           type: number
+ *           example: 180
+ *         currency:
+ *           type: string
+ *           description: Currency of the subtotal and the costs
+ *           example: "USD"
+ *         weight:
+ *           type: number
+ *           description: Cart weight in kg
+ *           example: 1.2
+ *         methods:
+ *           type: array
+ *           description: Methods that can take the cart, cheapest first. While no shipping zone is configured this is a single free method with a null id
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 nullable: true
+ *               name:
+ *                 type: string
+ *                 example: "Standard"
+ *               type:
+ *                 type: string
+ *                 enum: [FLAT, WEIGHT, FREE_OVER]
+ *               estimatedDays:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "3-5"
+ *               cost:
+ *                 type: number
+ *                 example: 5
+ */
+
+/**
+ * @swagger
+ * /shipping/quote:
+ *   post:
+ *     tags:
+ *       - Shipping
+ *     summary: Price shipping of the current cart to an address
+ *     description: Works on the same cart as /cart, so guests send their X-Cart-Token. Signed-in users can pass an addressId from their address book; anyone can pass an address instead.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: integer
+ *               address:
+ *                 type: object
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                     example: "AZ"
+ *                   region:
+ *                     type: string
+ *                     nullable: true
+ *                   postalCode:
+ *                     type: string
+ *                     nullable: true
+ *     responses:
+ *       200:
+ *         description: The shipping options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingQuote'
+ *       400:
+ *         description: Missing or invalid address
+ *       401:
+ *         description: Unauthorized - Invalid token
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+const getShippingQuote = async (req, res) => {
+    try {
+        const { addressId, address } = req.body || {};
+
+        let shippingAddress;
+        if (addressId !== undefined && addressId !== null) {
+            if (!req.user) {
+                return res.status(400).json({ error: 'Sign in to quote for a saved address, or send the address itself' });
+            }
+
+            shippingAddress = await findUserAddress(req.user.id, addressId);
+
+            if (!shippingAddress) {
+                return res.status(404).json({ error: 'Address not found' });
+            }
+        } else if (address && typeof address === 'object') {
+            const country = String(address.country || '').trim().toUpperCase();
+
+            if (!/^[A-Z]{2}$/.test(country)) {
+                return res.status(400).json({ error: 'country must be a two-letter ISO 3166 code' });
+            }
+
+            shippingAddress = { country, region: address.region || null, postalCode: address.postalCode || null };
+        } else if (req.user) {
+            shippingAddress = await prisma.address.findFirst({
+                where: { userId: req.user.id, isDefaultShipping: true },
+            });
+
+            if (!shippingAddress) {
+                return res.status(400).json({ error: 'addressId or address is required when no default shipping address is set' });
+            }
+        } else {
+            return res.status(400).json({ error: 'address is required' });
+        }
+
+        const cart = await getCouponedCart(req.cartOwner, req.user ? req.user.id : null);
+        const quote = await quoteShipping(prisma, shippingAddress, cart);
+
+        res.status(200).json({
+            zone: quote.zone,
+            subtotal: convertAmount(cart.subtotal, req.currency),
+            currency: req.currency.code,
+            weight: quote.weight,
+            methods: quote.methods.map((method) => ({ ...method, cost: convertAmount(method.cost, req.currency) })),
+        });
+    } catch (error) {
+        console.error("Shipping quote error:", error);
+        res.status(500).json({ error: 'Failed to quote shipping' });
+    }
+};
+
+module.exports = {
+    getShippingQuote
+};
@@ -0,0 +1,282 @@
+const bcrypt = require('bcrypt');
+const prisma = require('../utils/prismaClient');
+const { generateSecret, provisioningUri, encryptSecret } = require('../utils/totp');
+const { replaceRecoveryCodes, verifyUserTotp, verifySecondFactor } = require('../utils/twoFactor');
+const { revokeOtherSessions } = require('../utils/tokens');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Two-factor authentication
+ *     description: TOTP authenticator app enrollment for the authenticated user
+ */
+
+/**
+ * @swagger
+ * /me/2fa/setup:
+ *   post:
+ *     tags:
+ *       - Two-factor authentication
+ *     summary: Start 2FA enrollment
+ *     description: Generates a new secret and returns an otpauth:// provisioning URI to show as a QR code. 2FA is not active until confirmed with POST /me/2fa/confirm.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUrl:
+ *                   type: string
+ *       400:
+ *         description: 2FA is already enabled or password missing
+ *       401:
+ *         description: Password is incorrect
+ *       500:
+ *         description: Internal server error
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({ error: 'Password is required' });
+        }
+
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const passwordMatch = await bcrypt.compare(password, req.user.password);
+
+        if (!passwordMatch) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        const secret = generateSecret();
+
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { twoFactorSecret: encryptSecret(secret), twoFactorLastUsedStep: null },
+        });
+
+        res.status(200).json({ secret, otpauthUrl: provisioningUri(secret, req.user.email) });
+    } catch (error) {
+        console.error("2FA setup error:", error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+};
+
+/**
+ * @swagger
+ * /me/2fa/confirm:
+ *   post:
+ *     tags:
+ *       - Two-factor authentication
+ *     summary: Confirm 2FA enrollment
+ *     description: Activates 2FA with a code from the authenticator app and returns recovery codes. The recovery codes are shown only once. Other sessions are logged out.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Setup was not started, 2FA is already enabled, or the code is invalid
+ *       500:
+ *         description: Internal server error
+ */
+const confirmTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!req.user.twoFactorSecret) {
+            return res.status(400).json({ error: 'Start the setup with POST /me/2fa/setup first' });
+        }
+
+        const valid = await verifyUserTotp(req.user, code);
+
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await prisma.$transaction(async (tx) => {
+            await tx.user.update({
+                where: { id: req.user.id },
+                data: { twoFactorEnabled: true },
+            });
+
+            return replaceRecoveryCodes(tx, req.user.id);
+        });
+
+        await revokeOtherSessions(req.user.id, req.session.id);
+
+        res.status(200).json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        console.error("2FA confirm error:", error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+};
+
+/**
+ * @swagger
+ * /me/2fa/disable:
+ *   post:
+ *     tags:
+ *       - Two-factor authentication
+ *     summary: Disable 2FA
+ *     description: Requires the password and either an authenticator code or a recovery code.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: 2FA is not enabled, fields missing, or the code is invalid
+ *       401:
+ *         description: Password is incorrect
+ *       500:
+ *         description: Internal server error
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!req.user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Password and an authentication or recovery code are required' });
+        }
+
+        const passwordMatch = await bcrypt.compare(password, req.user.password);
+
+        if (!passwordMatch) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        const valid = await verifySecondFactor(req.user, { code, recoveryCode });
+
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await prisma.$transaction([
+            prisma.recoveryCode.deleteMany({ where: { userId: req.user.id } }),
+            prisma.user.update({
+                where: { id: req.user.id },
+                data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastUsedStep: null },
+            }),
+        ]);
+
+        res.status(200).json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error("2FA disable error:", error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+};
+
+/**
+ * @swagger
+ * /me/2fa/recovery-codes:
+ *   post:
+ *     tags:
+ *       - Two-factor authentication
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes. Requires a current authenticator code.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: 2FA is not enabled or the code is invalid
+ *       500:
+ *         description: Internal server error
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        if (!req.user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const valid = await verifyUserTotp(req.user, req.body.code);
+
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await prisma.$transaction((tx) => replaceRecoveryCodes(tx, req.user.id));
+
+        res.status(200).json({ recoveryCodes });
+    } catch (error) {
+        console.error("Regenerate recovery codes error:", error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+};
+
+module.exports = {
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
@@ -0,0 +1,320 @@
+const prisma = require('../utils/prismaClient');
+const { parseMoney } = require('../utils/money');
+
+const COLORS = ['RED', 'GREEN', 'BLUE', 'YELLOW', 'BLACK', 'WHITE', 'ORANGE', 'PURPLE', 'INDIGO', 'VIOLET'];
+const SIZES = ['L', 'M', 'S', 'XL', 'XXL'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         productId:
+ *           type: integer
+ *           example: 3
+ *         sku:
+ *           type: string
+ *           example: "TSHIRT-RED-M"
+ *         color:
+ *           type: string
+ *           nullable: true
+ *           enum: [RED, GREEN, BLUE, YELLOW, BLACK, WHITE, ORANGE, PURPLE, INDIGO, VIOLET]
+ *         size:
+ *           type: string
+ *           nullable: true
+ *           enum: [L, M, S, XL, XXL]
+ *         price:
+ *           type: number
+ *           nullable: true
+ *           description: Overrides the product price when set
+ *           example: 24.99
+ *         stock:
+ *           type: integer
+ *           example: 12
+ *         barcode:
+ *           type: string
+ *           nullable: true
+ *           example: "4006381333931"
+ *       required:
+ *         - sku
+ */
+
+// Validates and normalizes variant fields from a request body. Returns { data } or { error }
+const parseVariantBody = (body, isCreate) => {
+    const data = {};
+
+    if (body.sku !== undefined || isCreate) {
+        if (!body.sku || typeof body.sku !== 'string') {
+            return { error: 'SKU is required' };
+        }
+        data.sku = body.sku.trim();
+    }
+
+    if (body.color !== undefined) {
+        if (body.color === null) {
+            data.color = null;
+        } else {
+            const color = String(body.color).toUpperCase();
+            if (!COLORS.includes(color)) {
+                return { error: `Color must be one of ${COLORS.join(', ')}` };
+            }
+            data.color = color;
+        }
+    }
+
+    if (body.size !== undefined) {
+        if (body.size === null) {
+            data.size = null;
+        } else {
+            const size = String(body.size).toUpperCase();
+            if (!SIZES.includes(size)) {
+                return { error: `Size must be one of ${SIZES.join(', ')}` };
+            }
+            data.size = size;
+        }
+    }
+
+    if (body.price !== undefined) {
+        if (body.price === null) {
+            data.price = null;
+        } else {
+            const price = parseMoney(body.price);
+            if (price === null) {
+                return { error: 'Price must be a non-negative amount with at most two decimals' };
+            }
+            data.price = price;
+        }
+    }
+
+    if (body.stock !== undefined) {
+        const stock = Number(body.stock);
+        if (!Number.isInteger(stock) || stock < 0) {
+            return { error: 'Stock must be a non-negative integer' };
+        }
+        data.stock = stock;
+    }
+
+    if (body.barcode !== undefined) data.barcode = body.barcode || null;
+
+    return { data };
+};
+
+const handleVariantWriteError = (error, res, fallbackMessage) => {
+    if (error.code === 'P2002') {
+        res.status(409).json({ error: 'A variant with this SKU, barcode or color/size combination already exists' });
+    } else if (error.code === 'P2025') {
+        res.status(404).json({ error: 'Variant not found' });
+    } else {
+        res.status(500).json({ error: fallbackMessage });
+    }
+};
+
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   get:
+ *     summary: List the variants of a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Variants of the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProductVariant'
+ *       500:
+ *         description: Failed to fetch variants
+ */
+const getVariants = async (req, res) => {
+    try {
+        const variants = await prisma.productVariant.findMany({
+            where: { productId: Number(req.params.id) },
+            orderBy: { id: 'asc' },
+        });
+
+        res.status(200).json(variants);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch variants' });
+    }
+};
+
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   post:
+ *     summary: Create a variant
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: SKU, barcode or color/size combination already exists
+ *       500:
+ *         description: Failed to create variant
+ */
+const createVariant = async (req, res) => {
+    try {
+        const productId = Number(req.params.id);
+
+        const { data, error } = parseVariantBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const product = await prisma.product.findUnique({ where: { id: productId } });
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const variant = await prisma.productVariant.create({
+            data: { ...data, productId },
+        });
+
+        res.status(201).json(variant);
+    } catch (error) {
+        console.error(error);
+        handleVariantWriteError(error, res, 'Failed to create variant');
+    }
+};
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   patch:
+ *     summary: Update a variant
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Variant not found
+ *       409:
+ *         description: SKU, barcode or color/size combination already exists
+ *       500:
+ *         description: Failed to update variant
+ */
+const updateVariant = async (req, res) => {
+    try {
+        const { data, error } = parseVariantBody(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const variant = await prisma.productVariant.update({
+            where: { id: Number(req.params.variantId), productId: Number(req.params.id) },
+            data,
+        });
+
+        res.status(200).json(variant);
+    } catch (error) {
+        console.error(error);
+        handleVariantWriteError(error, res, 'Failed to update variant');
+    }
+};
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Delete a variant
+ *     description: Also removes the variant from every cart.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Variant deleted
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Variant not found
+ *       500:
+ *         description: Failed to delete variant
+ */
+const deleteVariant = async (req, res) => {
+    try {
+        await prisma.productVariant.delete({
+            where: { id: Number(req.params.variantId), productId: Number(req.params.id) },
+        });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error(error);
+        handleVariantWriteError(error, res, 'Failed to delete variant');
+    }
+};
+
+module.exports = {
+    getVariants,
+    createVariant,
+    updateVariant,
+    deleteVariant
+};
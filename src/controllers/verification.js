@@ -0,0 +1,145 @@
+const dotenv = require('dotenv');
+const prisma = require('../utils/prismaClient');
+const { signEmailVerificationToken, verifyEmailVerificationToken } = require('../utils/tokens');
+const { apiUrl } = require('../utils/url');
+const { sendVerificationEmail, sendWelcomeEmail } = require('../email/email');
+
+dotenv.config();
+
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60;
+
+// Emails a fresh verification link and records when it was sent for resend throttling
+const sendEmailVerification = async (user) => {
+    const token = signEmailVerificationToken(user);
+    const verificationLink = `${apiUrl()}/verify-email?token=${token}`;
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: { verificationSentAt: new Date() },
+    });
+
+    await sendVerificationEmail(user.email, user.name, verificationLink);
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Email verification
+ *     description: Confirming the email address of an account
+ */
+
+/**
+ * @swagger
+ * /verify-email:
+ *   get:
+ *     tags:
+ *       - Email verification
+ *     summary: Verify an email address
+ *     description: Opened from the link in the verification email. Marks the account's email as verified.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token is missing, invalid or expired
+ *       500:
+ *         description: Internal server error
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Verification token is required' });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyEmailVerificationToken(token);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid or expired verification token' });
+        }
+
+        const user = await prisma.user.findUnique({ where: { id: decoded.userid } });
+
+        if (!user || user.email !== decoded.email) {
+            return res.status(400).json({ error: 'Invalid or expired verification token' });
+        }
+
+        if (user.emailVerified) {
+            return res.status(200).json({ message: 'Email is already verified' });
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { emailVerified: true, emailVerifiedAt: new Date() },
+        });
+
+        await sendWelcomeEmail(user.email, user.name);
+
+        res.status(200).json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error("Verify email error:", error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+};
+
+/**
+ * @swagger
+ * /verify-email/resend:
+ *   post:
+ *     tags:
+ *       - Email verification
+ *     summary: Resend the verification email
+ *     description: Sends a new verification link to the authenticated user. Can be called once per minute.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       429:
+ *         description: Resent too recently
+ *       500:
+ *         description: Internal server error
+ */
+const resendVerificationEmail = async (req, res) => {
+    try {
+        const user = req.user;
+
+        if (user.emailVerified) {
+            return res.status(400).json({ error: 'Email is already verified' });
+        }
+
+        if (user.verificationSentAt) {
+            const secondsSinceLastSend = (Date.now() - user.verificationSentAt.getTime()) / 1000;
+
+            if (secondsSinceLastSend < RESEND_COOLDOWN_SECONDS) {
+                const retryAfter = Math.ceil(RESEND_COOLDOWN_SECONDS - secondsSinceLastSend);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: `Please wait ${retryAfter} seconds before requesting another email` });
+            }
+        }
+
+        await sendEmailVerification(user);
+
+        res.status(200).json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error("Resend verification error:", error);
+        res.status(500).json({ error: 'Failed to resend verification email' });
+    }
+};
+
+module.exports = {
+    sendEmailVerification,
+    verifyEmail,
+    resendVerificationEmail
+};
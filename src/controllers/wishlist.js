@@ -0,0 +1,817 @@
+const prisma = require('../utils/prismaClient');
+const { generateOpaqueToken } = require('../utils/tokens');
+const { apiUrl } = require('../utils/url');
+const { CartError, addCartItem, discountedPrice, exceedsStock, parseCount } = require('../utils/cart');
+const { applySales, getActiveSales } = require('../utils/sales');
+const { convertAmount } = require('../utils/currency');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Wishlists
+ *     description: Products the authenticated user keeps for later, in one or more named lists
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WishlistItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         productId:
+ *           type: integer
+ *         variantId:
+ *           type: integer
+ *           nullable: true
+ *         product:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             images:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         variant:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             sku:
+ *               type: string
+ *             color:
+ *               type: string
+ *               nullable: true
+ *             size:
+ *               type: string
+ *               nullable: true
+ *         discount:
+ *           type: integer
+ *           description: Discount in effect right now, including running sales
+ *         price:
+ *           type: number
+ *           description: Price after the discount, in the request's currency
+ *         currency:
+ *           type: string
+ *           example: "USD"
+ *         inStock:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Wishlist:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Birthday ideas"
+ *         isDefault:
+ *           type: boolean
+ *           description: The list GET /wishlists/default works on, created the first time it is used
+ *         shareUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Public link to the list, null while it is not shared
+ *         itemCount:
+ *           type: integer
+ *           description: Only in GET /wishlists
+ *         items:
+ *           type: array
+ *           description: Not in GET /wishlists
+ *           items:
+ *             $ref: '#/components/schemas/WishlistItem'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     WishlistId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: Id of one of the user's lists, or "default" for their default list
+ */
+
+const DEFAULT_WISHLIST_NAME = 'Wishlist';
+
+const WISHLIST_ITEM_INCLUDE = {
+    product: { select: { id: true, name: true, images: true, price: true, discount: true, stock: true, categoryId: true, brandsId: true } },
+    variant: { select: { id: true, sku: true, color: true, size: true, price: true, stock: true } },
+};
+
+const WISHLIST_INCLUDE = {
+    items: { include: WISHLIST_ITEM_INCLUDE, orderBy: { createdAt: 'desc' } },
+};
+
+const shareUrl = (shareToken) => (shareToken ? `${apiUrl()}/wishlists/shared/${shareToken}` : null);
+
+// An item with what it sells at right now, running sales included, in the request's currency
+const presentItem = (item, sales, currency) => {
+    const product = applySales(item.product, sales);
+    const stocked = item.variant || item.product;
+
+    return {
+        id: item.id,
+        productId: item.productId,
+        variantId: item.variantId,
+        product: { id: product.id, name: product.name, images: product.images },
+        variant: item.variant && { id: item.variant.id, sku: item.variant.sku, color: item.variant.color, size: item.variant.size },
+        discount: product.discount,
+        price: convertAmount(discountedPrice(product, item.variant), currency),
+        currency: currency.code,
+        inStock: !exceedsStock(stocked, 1),
+        createdAt: item.createdAt,
+    };
+};
+
+const presentWishlist = (req, wishlist, sales) => ({
+    id: wishlist.id,
+    name: wishlist.name,
+    isDefault: wishlist.isDefault,
+    shareUrl: shareUrl(wishlist.shareToken),
+    items: wishlist.items.map((item) => presentItem(item, sales, req.currency)),
+    createdAt: wishlist.createdAt,
+    updatedAt: wishlist.updatedAt,
+});
+
+// The user's default list, created on first use. A list of theirs already named like the default
+// becomes the default rather than clashing with it
+const getDefaultWishlist = async (userId) => {
+    const existing = await prisma.wishlist.findFirst({ where: { userId, isDefault: true } });
+    if (existing) {
+        return existing;
+    }
+
+    return prisma.wishlist.upsert({
+        where: { userId_name: { userId, name: DEFAULT_WISHLIST_NAME } },
+        create: { userId, name: DEFAULT_WISHLIST_NAME, isDefault: true },
+        update: { isDefault: true },
+    });
+};
+
+// Resolves the :id path parameter to one of the user's lists, or null
+const findUserWishlist = async (userId, id) => {
+    if (id === 'default') {
+        return getDefaultWishlist(userId);
+    }
+
+    const wishlistId = Number(id);
+    return Number.isInteger(wishlistId) ? prisma.wishlist.findFirst({ where: { id: wishlistId, userId } }) : null;
+};
+
+const findWishlistItem = (wishlist, itemId) => {
+    const id = Number(itemId);
+    return Number.isInteger(id)
+        ? prisma.wishlistItem.findFirst({ where: { id, wishlistId: wishlist.id }, include: WISHLIST_ITEM_INCLUDE })
+        : null;
+};
+
+const parseWishlistName = (name) => {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return { error: 'Wishlist name is required' };
+    }
+    if (name.trim().length > 100) {
+        return { error: 'Wishlist name must be at most 100 characters' };
+    }
+    return { name: name.trim() };
+};
+
+const handleWishlistWriteError = (error, res, fallbackMessage) => {
+    if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'You already have a wishlist with this name' });
+    }
+    if (error.code === 'P2025') {
+        return res.status(404).json({ error: 'Wishlist not found' });
+    }
+    console.error(fallbackMessage, error);
+    res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * @swagger
+ * /wishlists:
+ *   get:
+ *     tags:
+ *       - Wishlists
+ *     summary: List the user's wishlists
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The lists with their item counts, the default list first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+const getWishlists = async (req, res) => {
+    try {
+        const wishlists = await prisma.wishlist.findMany({
+            where: { userId: req.user.id },
+            include: { _count: { select: { items: true } } },
+            orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
+        });
+
+        res.status(200).json(wishlists.map(({ _count, shareToken, userId, ...wishlist }) => ({
+            ...wishlist,
+            shareUrl: shareUrl(shareToken),
+            itemCount: _count.items,
+        })));
+    } catch (error) {
+        console.error("Get wishlists error:", error);
+        res.status(500).json({ error: 'Failed to fetch wishlists' });
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists:
+ *   post:
+ *     tags:
+ *       - Wishlists
+ *     summary: Create a named wishlist
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Wishlist created
+ *       400:
+ *         description: Missing or too long name
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       409:
+ *         description: The user already has a wishlist with this name
+ *       500:
+ *         description: Internal server error
+ */
+const createWishlist = async (req, res) => {
+    try {
+        const { name, error } = parseWishlistName(req.body.name);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const wishlist = await prisma.wishlist.create({
+            data: { userId: req.user.id, name },
+            include: WISHLIST_INCLUDE,
+        });
+
+        res.status(201).json(presentWishlist(req, wishlist, []));
+    } catch (error) {
+        handleWishlistWriteError(error, res, 'Failed to create wishlist');
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/{id}:
+ *   get:
+ *     tags:
+ *       - Wishlists
+ *     summary: Get a wishlist with its items
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WishlistId'
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *     responses:
+ *       200:
+ *         description: The wishlist, latest items first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Wishlist not found
+ *       500:
+ *         description: Internal server error
+ */
+const getWishlist = async (req, res) => {
+    try {
+        const found = await findUserWishlist(req.user.id, req.params.id);
+
+        if (!found) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        const wishlist = await prisma.wishlist.findUnique({ where: { id: found.id }, include: WISHLIST_INCLUDE });
+
+        res.status(200).json(presentWishlist(req, wishlist, await getActiveSales(prisma)));
+    } catch (error) {
+        console.error("Get wishlist error:", error);
+        res.status(500).json({ error: 'Failed to fetch wishlist' });
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/{id}:
+ *   patch:
+ *     tags:
+ *       - Wishlists
+ *     summary: Rename a wishlist
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WishlistId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist renamed
+ *       400:
+ *         description: Missing or too long name
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Wishlist not found
+ *       409:
+ *         description: The user already has a wishlist with this name
+ *       500:
+ *         description: Internal server error
+ */
+const renameWishlist = async (req, res) => {
+    try {
+        const { name, error } = parseWishlistName(req.body.name);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const existing = await findUserWishlist(req.user.id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        const { shareToken, userId, ...wishlist } = await prisma.wishlist.update({ where: { id: existing.id }, data: { name } });
+
+        res.status(200).json({ ...wishlist, shareUrl: shareUrl(shareToken) });
+    } catch (error) {
+        handleWishlistWriteError(error, res, 'Failed to rename wishlist');
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/{id}:
+ *   delete:
+ *     tags:
+ *       - Wishlists
+ *     summary: Delete a wishlist and its items
+ *     description: Its share link stops working. Deleting the default list is allowed; a new one is created the next time it is used.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WishlistId'
+ *     responses:
+ *       204:
+ *         description: Wishlist deleted
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Wishlist not found
+ *       500:
+ *         description: Internal server error
+ */
+const deleteWishlist = async (req, res) => {
+    try {
+        const existing = await findUserWishlist(req.user.id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        await prisma.wishlist.delete({ where: { id: existing.id } });
+
+        res.status(204).send();
+    } catch (error) {
+        handleWishlistWriteError(error, res, 'Failed to delete wishlist');
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/{id}/items:
+ *   post:
+ *     tags:
+ *       - Wishlists
+ *     summary: Add a product to a wishlist
+ *     description: A product with variants can be saved with or without a variant. Adding something already on the list returns the existing item.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WishlistId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               variantId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Already on the list
+ *       201:
+ *         description: Item added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WishlistItem'
+ *       400:
+ *         description: Missing or non-integer productId or variantId, or a variantId for a product without variants
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Wishlist, product or variant not found
+ *       500:
+ *         description: Internal server error
+ */
+const addWishlistItem = async (req, res) => {
+    try {
+        if (req.body.productId === undefined || req.body.productId === null) {
+            return res.status(400).json({ error: 'productId is required' });
+        }
+        const productId = Number(req.body.productId);
+        if (!Number.isInteger(productId)) {
+            return res.status(400).json({ error: 'productId must be an integer' });
+        }
+
+        const hasVariant = req.body.variantId !== undefined && req.body.variantId !== null;
+        const variantId = hasVariant ? Number(req.body.variantId) : null;
+        if (hasVariant && !Number.isInteger(variantId)) {
+            return res.status(400).json({ error: 'variantId must be an integer' });
+        }
+
+        const wishlist = await findUserWishlist(req.user.id, req.params.id);
+        if (!wishlist) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        const product = await prisma.product.findUnique({
+            where: { id: productId },
+            include: { variants: { select: { id: true } } },
+        });
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        let variant = null;
+        if (hasVariant) {
+            if (product.variants.length === 0) {
+                return res.status(400).json({ error: 'This product has no variants' });
+            }
+
+            variant = product.variants.find((v) => v.id === variantId);
+            if (!variant) {
+                return res.status(404).json({ error: 'Variant not found for this product' });
+            }
+        }
+
+        const data = { wishlistId: wishlist.id, productId: product.id, variantId: variant ? variant.id : null };
+        const sales = await getActiveSales(prisma);
+
+        let item;
+        try {
+            item = await prisma.wishlistItem.create({ data, include: WISHLIST_ITEM_INCLUDE });
+        } catch (error) {
+            if (error.code !== 'P2002') {
+                throw error;
+            }
+            // Already on the list
+            const existing = await prisma.wishlistItem.findFirst({ where: data, include: WISHLIST_ITEM_INCLUDE });
+            return res.status(200).json(presentItem(existing, sales, req.currency));
+        }
+
+        res.status(201).json(presentItem(item, sales, req.currency));
+    } catch (error) {
+        console.error("Add wishlist item error:", error);
+        res.status(500).json({ error: 'Failed to add item to wishlist' });
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/{id}/items/{itemId}:
+ *   delete:
+ *     tags:
+ *       - Wishlists
+ *     summary: Remove an item from a wishlist
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WishlistId'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Item removed
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Wishlist or item not found
+ *       500:
+ *         description: Internal server error
+ */
+const removeWishlistItem = async (req, res) => {
+    try {
+        const wishlist = await findUserWishlist(req.user.id, req.params.id);
+        const item = wishlist ? await findWishlistItem(wishlist, req.params.itemId) : null;
+
+        if (!item) {
+            return res.status(404).json({ error: 'Wishlist item not found' });
+        }
+
+        await prisma.wishlistItem.delete({ where: { id: item.id } });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error("Remove wishlist item error:", error);
+        res.status(500).json({ error: 'Failed to remove item from wishlist' });
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/{id}/items/{itemId}/move-to-cart:
+ *   post:
+ *     tags:
+ *       - Wishlists
+ *     summary: Move a wishlist item to the cart
+ *     description: Adds the item to the user's cart the same way POST /cart/add does, then removes it from the wishlist. An item saved without a variant needs a variantId when the product has variants.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WishlistId'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               count:
+ *                 type: integer
+ *                 default: 1
+ *               variantId:
+ *                 type: integer
+ *                 description: Only used when the item was saved without a variant
+ *     responses:
+ *       200:
+ *         description: Item moved to the cart
+ *       400:
+ *         description: Invalid count, or a variant is required
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Wishlist, item or variant not found
+ *       409:
+ *         description: Not enough stock
+ *       500:
+ *         description: Internal server error
+ */
+const moveWishlistItemToCart = async (req, res) => {
+    try {
+        const { count = 1, variantId } = req.body || {};
+
+        const quantity = parseCount(count);
+        if (!quantity) {
+            return res.status(400).json({ error: 'Count must be a positive integer' });
+        }
+
+        const wishlist = await findUserWishlist(req.user.id, req.params.id);
+        const item = wishlist ? await findWishlistItem(wishlist, req.params.itemId) : null;
+
+        if (!item) {
+            return res.status(404).json({ error: 'Wishlist item not found' });
+        }
+
+        const { product, variant } = await addCartItem(
+            { userId: req.user.id },
+            { productId: item.productId, variantId: item.variantId || variantId, count: quantity }
+        );
+
+        await prisma.wishlistItem.delete({ where: { id: item.id } });
+
+        res.status(200).json({ message: 'Product moved to cart', product, variant });
+    } catch (error) {
+        if (error instanceof CartError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Move wishlist item to cart error:", error);
+        res.status(500).json({ error: 'Failed to move item to cart' });
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/{id}/share:
+ *   post:
+ *     tags:
+ *       - Wishlists
+ *     summary: Share a wishlist
+ *     description: Returns a public link anyone can view the list at without logging in. Sharing an already shared list returns its current link.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WishlistId'
+ *     responses:
+ *       200:
+ *         description: The share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shareToken:
+ *                   type: string
+ *                 shareUrl:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Wishlist not found
+ *       500:
+ *         description: Internal server error
+ */
+const shareWishlist = async (req, res) => {
+    try {
+        const existing = await findUserWishlist(req.user.id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        let { shareToken } = existing;
+        if (!shareToken) {
+            shareToken = generateOpaqueToken(24);
+            await prisma.wishlist.update({ where: { id: existing.id }, data: { shareToken } });
+        }
+
+        res.status(200).json({ shareToken, shareUrl: shareUrl(shareToken) });
+    } catch (error) {
+        handleWishlistWriteError(error, res, 'Failed to share wishlist');
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/{id}/share:
+ *   delete:
+ *     tags:
+ *       - Wishlists
+ *     summary: Stop sharing a wishlist
+ *     description: The share link stops working. Sharing the list again gives a new link.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/WishlistId'
+ *     responses:
+ *       204:
+ *         description: Wishlist no longer shared
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Wishlist not found
+ *       500:
+ *         description: Internal server error
+ */
+const unshareWishlist = async (req, res) => {
+    try {
+        const existing = await findUserWishlist(req.user.id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        await prisma.wishlist.update({ where: { id: existing.id }, data: { shareToken: null } });
+
+        res.status(204).send();
+    } catch (error) {
+        handleWishlistWriteError(error, res, 'Failed to stop sharing wishlist');
+    }
+};
+
+/**
+ * @swagger
+ * /wishlists/shared/{token}:
+ *   get:
+ *     tags:
+ *       - Wishlists
+ *     summary: View a shared wishlist
+ *     description: Public. Shows the list's name and items, nothing about its owner.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Currency'
+ *       - $ref: '#/components/parameters/CurrencyHeader'
+ *     responses:
+ *       200:
+ *         description: The shared wishlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WishlistItem'
+ *       404:
+ *         description: No wishlist is shared with this link
+ *       500:
+ *         description: Internal server error
+ */
+const getSharedWishlist = async (req, res) => {
+    try {
+        const wishlist = await prisma.wishlist.findUnique({
+            where: { shareToken: String(req.params.token) },
+            include: WISHLIST_INCLUDE,
+        });
+
+        if (!wishlist) {
+            return res.status(404).json({ error: 'Wishlist not found' });
+        }
+
+        const sales = await getActiveSales(prisma);
+
+        res.status(200).json({
+            name: wishlist.name,
+            items: wishlist.items.map((item) => presentItem(item, sales, req.currency)),
+        });
+    } catch (error) {
+        console.error("Get shared wishlist error:", error);
+        res.status(500).json({ error: 'Failed to fetch wishlist' });
+    }
+};
+
+module.exports = {
+    getWishlists,
+    createWishlist,
+    getWishlist,
+    renameWishlist,
+    deleteWishlist,
+    addWishlistItem,
+    removeWishlistItem,
+    moveWishlistItemToCart,
+    shareWishlist,
+    unshareWishlist,
+    getSharedWishlist
+};
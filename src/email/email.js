@@ -24,4 +24,153 @@ const sendWelcomeEmail = async (email, name) => {
     }
 };
 
-module.exports = sendWelcomeEmail
+const sendPasswordResetEmail = async (email, name, resetLink, ttlMinutes) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Reset your password',
+        text: `Hello ${name},\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${resetLink}\n\nThe link can be used once and expires in ${ttlMinutes} minutes. If you did not request a reset, you can ignore this email.\n\nBest regards,\nYour Service Team`,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+const sendVerificationEmail = async (email, name, verificationLink) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Confirm your email address',
+        text: `Hello ${name},\n\nPlease confirm your email address by opening the link below:\n\n${verificationLink}\n\nThe link expires in 24 hours.\n\nBest regards,\nYour Service Team`,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+const sendAccountLockedEmail = async (email, name, unlockLink, lockMinutes) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: 'Your account has been temporarily locked',
+        text: `Hello ${name},\n\nWe locked your account for ${lockMinutes} minutes after too many failed login attempts. If this was you, you can unlock it right away with the link below:\n\n${unlockLink}\n\nIf it was not you, we recommend resetting your password.\n\nBest regards,\nYour Service Team`,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+const sendOrderConfirmationEmail = async (email, name, order, invoiceFileName, invoicePdf) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: `Your order #${order.id} is confirmed`,
+        text: `Hello ${name},\n\nThank you for your order! We received your payment for order #${order.id} and will let you know once it ships.\n\nYour invoice is attached.\n\nBest regards,\nYour Service Team`,
+        attachments: [
+            { filename: invoiceFileName, content: invoicePdf, contentType: 'application/pdf' },
+        ],
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+const sendReturnRequestedEmail = async (email, name, returnId, orderId) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: `We received your return request #${returnId}`,
+        text: `Hello ${name},\n\nWe received your request to return items from order #${orderId}. We will review it and let you know once it has been approved.\n\nBest regards,\nYour Service Team`,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+const sendReturnApprovedEmail = async (email, name, returnId, note) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: `Your return #${returnId} has been approved`,
+        text: `Hello ${name},\n\nYour return #${returnId} has been approved. Please send the items back to us; we will refund you once they arrive.${note ? `\n\n${note}` : ''}\n\nBest regards,\nYour Service Team`,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+const sendReturnRejectedEmail = async (email, name, returnId, note) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: `Your return #${returnId} could not be accepted`,
+        text: `Hello ${name},\n\nUnfortunately we could not accept your return #${returnId}.${note ? `\n\nReason: ${note}` : ''}\n\nIf you have any questions, just reply to this email.\n\nBest regards,\nYour Service Team`,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+const sendReturnReceivedEmail = async (email, name, returnId) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: `We received the items of return #${returnId}`,
+        text: `Hello ${name},\n\nThe items of your return #${returnId} have arrived. Your refund will be issued shortly.\n\nBest regards,\nYour Service Team`,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+const sendReturnRefundedEmail = async (email, name, returnId, amount, currency) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER,
+        to: email,
+        subject: `Your refund for return #${returnId}`,
+        text: `Hello ${name},\n\nWe refunded ${amount} ${currency} for your return #${returnId}. Depending on your bank it can take a few days to appear on your statement.\n\nBest regards,\nYour Service Team`,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+    } catch (error) {
+        console.error('Error sending email:', error);
+    }
+};
+
+module.exports = {
+    sendWelcomeEmail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendAccountLockedEmail,
+    sendOrderConfirmationEmail,
+    sendReturnRequestedEmail,
+    sendReturnApprovedEmail,
+    sendReturnRejectedEmail,
+    sendReturnReceivedEmail,
+    sendReturnRefundedEmail
+}
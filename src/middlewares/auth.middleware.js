@@ -24,6 +24,20 @@ const auth = async (req, res, next) => {
 
         const decoded = jwt.verify(token, secret);
 
+        if (!decoded.sid) {
+            res.status(401).json({ error: 'Unauthorized: Session required' });
+            return;
+        }
+
+        const session = await prisma.session.findUnique({
+            where: { id: decoded.sid }
+        });
+
+        if (!session || session.revokedAt || session.userId !== decoded.userid) {
+            res.status(401).json({ error: 'Unauthorized: Session has been revoked' });
+            return;
+        }
+
         const user = await prisma.user.findUnique({
             where: { id: decoded.userid }
         });
@@ -33,7 +47,13 @@ const auth = async (req, res, next) => {
             return;
         }
 
+        if (user.suspendedAt) {
+            res.status(403).json({ error: 'Forbidden: Account is suspended' });
+            return;
+        }
+
         req.user = user;
+        req.session = session;
         next();
     } catch (error) {
         console.error("Token verification error:", error);
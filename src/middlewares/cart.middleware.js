@@ -0,0 +1,29 @@
+const auth = require('./auth.middleware');
+const requireVerifiedEmail = require('./verified.middleware');
+const { CART_TOKEN_HEADER, findGuestCart } = require('../utils/cart');
+
+// Resolves whose cart a request works on and sets req.cartOwner:
+// - with an Authorization header the user must authenticate, and owns the cart as { userId }
+// - otherwise an X-Cart-Token header selects a guest cart as { guestCartId }
+// - with neither, req.cartOwner is null and a guest cart is created on the first add
+const cartOwner = async (req, res, next) => {
+    if (req.headers['authorization']) {
+        auth(req, res, () => requireVerifiedEmail(req, res, () => {
+            req.cartOwner = { userId: req.user.id };
+            next();
+        }));
+        return;
+    }
+
+    try {
+        const guestCart = await findGuestCart(req.headers[CART_TOKEN_HEADER]);
+
+        req.cartOwner = guestCart ? { guestCartId: guestCart.id } : null;
+        next();
+    } catch (error) {
+        console.error("Cart token error:", error);
+        res.status(500).json({ error: 'Failed to load cart' });
+    }
+};
+
+module.exports = cartOwner;
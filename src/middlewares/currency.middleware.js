@@ -0,0 +1,26 @@
+const prisma = require('../utils/prismaClient');
+const { CURRENCY_HEADER, getCurrency, isCurrencyCode, normalizeCurrency } = require('../utils/currency');
+
+// Sets req.currency from ?currency= or the X-Currency header, defaulting to the base currency.
+// Unknown currencies are rejected rather than silently shown in the base currency
+const currency = async (req, res, next) => {
+    const code = normalizeCurrency(req.query.currency || req.headers[CURRENCY_HEADER]);
+
+    if (code && !isCurrencyCode(code)) {
+        return res.status(400).json({ error: 'currency must be a three-letter ISO 4217 code' });
+    }
+
+    try {
+        req.currency = await getCurrency(prisma, code);
+
+        if (!req.currency) {
+            return res.status(400).json({ error: `Prices are not available in ${code}` });
+        }
+        next();
+    } catch (error) {
+        console.error("Currency error:", error);
+        res.status(500).json({ error: 'Failed to load exchange rate' });
+    }
+};
+
+module.exports = currency;
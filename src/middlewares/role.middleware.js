@@ -0,0 +1,49 @@
+const dotenv = require('dotenv');
+const { hasPermission } = require('../utils/permissions');
+
+dotenv.config();
+
+// With REQUIRE_ADMIN_2FA=true admins must enroll in 2FA before they can use admin routes
+const missingRequiredTwoFactor = (user) =>
+    process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'ADMIN' && !user.twoFactorEnabled;
+
+// Must be mounted after `auth`, which sets req.user
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        res.status(401).json({ error: 'Unauthorized: No user on request' });
+        return;
+    }
+
+    if (!roles.includes(req.user.role)) {
+        res.status(403).json({ error: `Forbidden: ${roles.join(' or ')} role required` });
+        return;
+    }
+
+    if (missingRequiredTwoFactor(req.user)) {
+        res.status(403).json({ error: 'Forbidden: Enable two-factor authentication to use admin features' });
+        return;
+    }
+
+    next();
+};
+
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.user) {
+        res.status(401).json({ error: 'Unauthorized: No user on request' });
+        return;
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+        res.status(403).json({ error: `Forbidden: Missing permission '${permission}'` });
+        return;
+    }
+
+    if (missingRequiredTwoFactor(req.user)) {
+        res.status(403).json({ error: 'Forbidden: Enable two-factor authentication to use admin features' });
+        return;
+    }
+
+    next();
+};
+
+module.exports = { requireRole, requirePermission };
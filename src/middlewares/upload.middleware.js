@@ -1,10 +1,13 @@
-const { S3Client, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, DeleteObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
 const multer = require('multer');
 const multerS3 = require('multer-s3');
 
 const AWS_REGION = process.env.AWS_REGION;
 const AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
 const AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
+const S3_BUCKET = 'telefonclubb';
+// Bucket for files that must not be public (invoices). It is only read by the API, never linked to
+const S3_PRIVATE_BUCKET = process.env.S3_PRIVATE_BUCKET;
 
 if (!AWS_REGION || !AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY) {
     throw new Error("AWS environment variables are not set.");
@@ -26,7 +29,7 @@ const deleteImage = async (req, res) => {
 
     try {
         const deleteParams = {
-            Bucket: "telefonclubb",
+            Bucket: S3_BUCKET,
             Key: filename
         };
 
@@ -48,11 +51,41 @@ const deleteImage = async (req, res) => {
 const upload = multer({
     storage: multerS3({
         s3: s3,
-        bucket: 'telefonclubb',
+        bucket: S3_BUCKET,
         key: function (req, file, cb) {
             cb(null, `${Date.now()}-${file.originalname}`);
         }
     })
 });
 
-module.exports = { deleteImage, upload };
+// Where multer-s3 puts uploads: https://<bucket>.s3.<region>.amazonaws.com/<key>, or without the
+// region in us-east-1
+const UPLOAD_URL_PREFIXES = [
+    `https://${S3_BUCKET}.s3.${AWS_REGION}.amazonaws.com/`,
+    `https://${S3_BUCKET}.s3.amazonaws.com/`,
+];
+
+// Whether a URL points at a file in the upload bucket, as returned by POST /img/upload. Invoices
+// stored there by older versions are not uploads
+const isUploadUrl = (url) =>
+    typeof url === 'string' && UPLOAD_URL_PREFIXES.some((prefix) =>
+        url.startsWith(prefix) && url.length > prefix.length && !url.startsWith(`${prefix}invoices/`));
+
+// Stores a file generated on the server (e.g. an invoice PDF) in the private bucket. Returns null
+// without storing anything when S3_PRIVATE_BUCKET is not set
+const uploadPrivateBuffer = async (key, body, contentType) => {
+    if (!S3_PRIVATE_BUCKET) {
+        return null;
+    }
+
+    await s3.send(new PutObjectCommand({
+        Bucket: S3_PRIVATE_BUCKET,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+    }));
+
+    return key;
+};
+
+module.exports = { deleteImage, upload, uploadPrivateBuffer, isUploadUrl };
@@ -0,0 +1,26 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Blocking unverified accounts is opt-in via REQUIRE_EMAIL_VERIFICATION=true.
+// Must be mounted after `auth`, which sets req.user
+const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+        next();
+        return;
+    }
+
+    if (!req.user) {
+        res.status(401).json({ error: 'Unauthorized: No user on request' });
+        return;
+    }
+
+    if (!req.user.emailVerified) {
+        res.status(403).json({ error: 'Forbidden: Please verify your email address first' });
+        return;
+    }
+
+    next();
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,32 @@
+const dotenv = require('dotenv');
+const mock = require('./mock');
+const { BASE_CURRENCY } = require('../utils/currency');
+
+dotenv.config();
+
+// Every payment provider implements the same interface, so controllers never talk to a vendor directly:
+//   name                                           provider key stored on Payment.provider
+//   createIntent({ amount, currency, orderId })    -> { providerRef, clientSecret, status }
+//   capture(providerRef, amount)                   -> { status }
+//   refund(providerRef, amount, idempotencyKey)    -> { refundRef, status }; the same key returns the
+//                                                     refund already made instead of refunding again
+//   verifyWebhook(rawBody, headers)                -> { id, type, providerRef, reason }, throws on a bad signature
+// Webhook event types are normalized to payment.authorized, payment.succeeded and payment.failed.
+// New providers are added to this map
+const PROVIDERS = {
+    [mock.name]: mock,
+};
+
+// Order totals are kept in the base currency, so that is what payments are charged in
+const PAYMENT_CURRENCY = BASE_CURRENCY;
+
+const getPaymentProvider = (name) => PROVIDERS[name] || null;
+
+// The provider new payments are created with
+const getDefaultPaymentProvider = () => getPaymentProvider(process.env.PAYMENT_PROVIDER || mock.name);
+
+module.exports = {
+    PAYMENT_CURRENCY,
+    getPaymentProvider,
+    getDefaultPaymentProvider
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Offline stand-in for a real gateway, for development and tests. Nothing leaves the server:
+// intents are random ids, capture and refund always succeed, and webhooks are signed with
+// PAYMENT_WEBHOOK_SECRET the same way a real provider would sign them.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const webhookSecret = () => {
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    return secret;
+};
+
+const computeSignature = (timestamp, rawBody) =>
+    crypto.createHmac('sha256', webhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+
+const createIntent = async () => {
+    const providerRef = randomId('mock_pi');
+
+    return {
+        providerRef,
+        clientSecret: `${providerRef}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        status: 'PENDING',
+    };
+};
+
+const capture = async () => ({ status: 'SUCCEEDED' });
+
+// Refunds sent again with the same idempotency key get the same refundRef, like a real gateway's
+const refund = async (providerRef, amount, idempotencyKey) => ({
+    refundRef: idempotencyKey
+        ? `mock_re_${crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 24)}`
+        : randomId('mock_re'),
+    status: 'REFUNDED',
+});
+
+// Builds the signature header value for a payload, in the `t=<unix>,v1=<hex>` format
+// verifyWebhook expects. Used by the mock-webhook script
+const signWebhook = (rawBody, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}`;
+
+// Checks the signature and age of a webhook and returns the event in the provider-neutral shape
+// { id, type, providerRef, reason }. Throws when the signature is missing, wrong or too old
+const verifyWebhook = (rawBody, headers) => {
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+        throw new Error('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+    const timestamp = Number(parts.t);
+
+    if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Webhook timestamp outside the tolerance');
+    }
+
+    const expected = Buffer.from(computeSignature(timestamp, rawBody), 'hex');
+    const received = Buffer.from(parts.v1 || '', 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+
+    return {
+        id: event.id,
+        type: event.type,
+        providerRef: event.data && event.data.providerRef,
+        reason: event.data && event.data.reason,
+    };
+};
+
+module.exports = {
+    name: 'mock',
+    SIGNATURE_HEADER,
+    createIntent,
+    capture,
+    refund,
+    signWebhook,
+    verifyWebhook
+};
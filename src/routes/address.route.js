@@ -0,0 +1,13 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { createAddress, deleteAddress, getAddressById, getAddresses, updateAddress } = require('../controllers/address');
+
+const router = express.Router();
+
+router.get('/', auth, getAddresses);
+router.post('/', auth, createAddress);
+router.get('/:id', auth, getAddressById);
+router.patch('/:id', auth, updateAddress);
+router.delete('/:id', auth, deleteAddress);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { capturePayment, getAllOrders, getAnyOrder, refundOrder, updateOrderStatus } = require('../controllers/adminOrder');
+const { createCoupon, deleteCoupon, getAllCoupons, getCouponById, updateCoupon } = require('../controllers/adminCoupon');
+const { createSale, deleteSale, getAllSales, getSaleById, updateSale } = require('../controllers/adminSale');
+const { deleteExchangeRate, getExchangeRates, importRates, setExchangeRate } = require('../controllers/adminCurrency');
+const { approveReview, deleteReview, getAllReviews, rejectReview } = require('../controllers/adminReview');
+const { approveReturn, getAllReturns, getAnyReturn, receiveReturnById, refundReturnById, rejectReturn } = require('../controllers/adminReturn');
+const {
+    createShippingMethod,
+    createShippingZone,
+    deleteShippingMethod,
+    deleteShippingZone,
+    getShippingZones,
+    updateShippingMethod,
+    updateShippingZone
+} = require('../controllers/adminShipping');
+const {
+    createTaxClass,
+    createTaxRate,
+    deleteTaxClass,
+    deleteTaxRate,
+    getTaxClasses,
+    getTaxRates,
+    updateTaxClass,
+    updateTaxRate
+} = require('../controllers/adminTax');
+const { deleteUser, getLockedUsers, getUserById, getUsers, suspendUser, unlockUserById, unsuspendUser, updateUserRole } = require('../controllers/admin');
+
+const router = express.Router();
+
+router.use(auth);
+router.use('/users', requirePermission(PERMISSIONS.USER_MANAGE));
+router.use('/orders', requirePermission(PERMISSIONS.ORDER_MANAGE));
+router.use('/returns', requirePermission(PERMISSIONS.ORDER_MANAGE));
+router.use('/shipping', requirePermission(PERMISSIONS.SHIPPING_MANAGE));
+router.use('/tax', requirePermission(PERMISSIONS.TAX_MANAGE));
+router.use('/coupons', requirePermission(PERMISSIONS.COUPON_MANAGE));
+router.use('/sales', requirePermission(PERMISSIONS.SALE_MANAGE));
+router.use('/currencies', requirePermission(PERMISSIONS.CURRENCY_MANAGE));
+router.use('/reviews', requirePermission(PERMISSIONS.REVIEW_MANAGE));
+
+router.get('/users', getUsers);
+router.get('/users/locked', getLockedUsers);
+router.get('/users/:id', getUserById);
+router.patch('/users/:id/role', updateUserRole);
+router.post('/users/:id/suspend', suspendUser);
+router.post('/users/:id/unsuspend', unsuspendUser);
+router.post('/users/:id/unlock', unlockUserById);
+router.delete('/users/:id', deleteUser);
+
+router.get('/orders', getAllOrders);
+router.get('/orders/:id', getAnyOrder);
+router.post('/orders/:id/status', updateOrderStatus);
+router.post('/orders/:id/capture', capturePayment);
+router.post('/orders/:id/refund', refundOrder);
+
+router.get('/returns', getAllReturns);
+router.get('/returns/:id', getAnyReturn);
+router.post('/returns/:id/approve', approveReturn);
+router.post('/returns/:id/reject', rejectReturn);
+router.post('/returns/:id/receive', receiveReturnById);
+router.post('/returns/:id/refund', refundReturnById);
+
+router.get('/shipping/zones', getShippingZones);
+router.post('/shipping/zones', createShippingZone);
+router.put('/shipping/zones/:id', updateShippingZone);
+router.delete('/shipping/zones/:id', deleteShippingZone);
+router.post('/shipping/zones/:id/methods', createShippingMethod);
+router.put('/shipping/methods/:id', updateShippingMethod);
+router.delete('/shipping/methods/:id', deleteShippingMethod);
+
+router.get('/tax/classes', getTaxClasses);
+router.post('/tax/classes', createTaxClass);
+router.put('/tax/classes/:id', updateTaxClass);
+router.delete('/tax/classes/:id', deleteTaxClass);
+router.get('/tax/rates', getTaxRates);
+router.post('/tax/rates', createTaxRate);
+router.put('/tax/rates/:id', updateTaxRate);
+router.delete('/tax/rates/:id', deleteTaxRate);
+
+router.get('/coupons', getAllCoupons);
+router.get('/coupons/:id', getCouponById);
+router.post('/coupons', createCoupon);
+router.put('/coupons/:id', updateCoupon);
+router.delete('/coupons/:id', deleteCoupon);
+
+router.get('/sales', getAllSales);
+router.get('/sales/:id', getSaleById);
+router.post('/sales', createSale);
+router.put('/sales/:id', updateSale);
+router.delete('/sales/:id', deleteSale);
+
+router.get('/currencies', getExchangeRates);
+router.post('/currencies/import', importRates);
+router.put('/currencies/:currency', setExchangeRate);
+router.delete('/currencies/:currency', deleteExchangeRate);
+
+router.get('/reviews', getAllReviews);
+router.post('/reviews/:id/approve', approveReview);
+router.post('/reviews/:id/reject', rejectReview);
+router.delete('/reviews/:id', deleteReview);
+
+module.exports = router;
@@ -1,14 +1,16 @@
 
 const express = require('express');
 const auth = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const { createBrand, deleteBrandById, getBrandById, getBrands, updateBrandById } = require('../controllers/brand');
 const router = express.Router();
 
 // Routes for Brand CRUD operations
-router.post('/create', auth, createBrand);
+router.post('/create', auth, requirePermission(PERMISSIONS.BRAND_WRITE), createBrand);
 router.get('/all', getBrands);
 router.get('/get/:id', getBrandById);
-router.put('/update/:id', auth, updateBrandById);
-router.delete('/delete/:id', auth, deleteBrandById);
+router.put('/update/:id', auth, requirePermission(PERMISSIONS.BRAND_WRITE), updateBrandById);
+router.delete('/delete/:id', auth, requirePermission(PERMISSIONS.BRAND_WRITE), deleteBrandById);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const cartOwner = require('../middlewares/cart.middleware');
+const currency = require('../middlewares/currency.middleware');
+const { addToCart, applyCartCoupon, clearCart, deleteCart, getCart, removeCartCoupon, removeCartItem, updateCartItem } = require('../controllers/cart');
+
+const router = express.Router();
+
+router.use(cartOwner);
+router.use(currency);
+
+router.get('/', getCart);
+router.delete('/', clearCart);
+router.post('/add', addToCart);
+router.post('/coupon', applyCartCoupon);
+router.delete('/coupon', removeCartCoupon);
+// Older clients remove by product id; DELETE /:itemId removes one cart line
+router.delete('/delete/:productId', deleteCart);
+router.patch('/:itemId', updateCartItem);
+router.delete('/:itemId', removeCartItem);
+
+module.exports = router;
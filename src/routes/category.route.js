@@ -1,16 +1,18 @@
 const express = require('express');
 const auth = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const { createCategory, createSubcategory, deleteCategoryById, deleteSubcategory, editCategoriesById, getCategories, getCategoriesById, updateSubcategory } = require('../controllers/category');
 const router = express.Router();
 
-router.post('/create', auth, createCategory);
+router.post('/create', auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), createCategory);
 router.get('/all', getCategories);
 router.get('/get/:id', getCategoriesById);
-router.put('/update/:id', auth, editCategoriesById);
-router.delete('/delete/:id', auth, deleteCategoryById);
+router.put('/update/:id', auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), editCategoriesById);
+router.delete('/delete/:id', auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), deleteCategoryById);
 
-router.post('/subcategory/create', auth, createSubcategory);
-router.put('/subcategory/update/:id', auth, updateSubcategory);
-router.delete('/subcategory/delete/:id', auth, deleteSubcategory);
+router.post('/subcategory/create', auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), createSubcategory);
+router.put('/subcategory/update/:id', auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), updateSubcategory);
+router.delete('/subcategory/delete/:id', auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), deleteSubcategory);
 
 module.exports = router;
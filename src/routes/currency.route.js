@@ -0,0 +1,9 @@
+const express = require('express');
+const { getCurrencies } = require('../controllers/currency');
+
+// Exchange rates are managed under /admin/currencies
+const router = express.Router();
+
+router.get('/', getCurrencies);
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const auth = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
 const { deleteImage, upload } = require('../middlewares/upload.middleware');
 
 const router = express.Router();
@@ -15,6 +17,6 @@ router.post('/upload', auth, upload.single('image'), (req, res) => {
     });
 });
 
-router.delete('/delete/:filename', auth, deleteImage);
+router.delete('/delete/:filename', auth, requirePermission(PERMISSIONS.IMAGE_DELETE), deleteImage);
 
 module.exports = router;
@@ -1,12 +1,11 @@
 const express = require('express');
-const { register, login, addToCart, deleteCart } = require('../controllers/login');
-const auth = require('../middlewares/auth.middleware');
+const { register, login, loginTwoFactor, unlockAccount } = require('../controllers/login');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
-router.post('/cart/add', auth, addToCart);
-router.delete('/cart/delete/:itemId', auth, deleteCart);
+router.post('/login/2fa', loginTwoFactor);
+router.get('/login/unlock', unlockAccount);
 
 module.exports = router;
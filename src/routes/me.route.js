@@ -0,0 +1,11 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { getMe, updateMe, changePassword } = require('../controllers/me');
+
+const router = express.Router();
+
+router.get('/', auth, getMe);
+router.patch('/', auth, updateMe);
+router.post('/password', auth, changePassword);
+
+module.exports = router;
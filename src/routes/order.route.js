@@ -0,0 +1,19 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const requireVerifiedEmail = require('../middlewares/verified.middleware');
+const currency = require('../middlewares/currency.middleware');
+const { createOrderPayment } = require('../controllers/payment');
+const { createReturn } = require('../controllers/return');
+const { cancelOrder, checkout, getInvoice, getOrderById, getOrders } = require('../controllers/order');
+
+const router = express.Router();
+
+router.post('/checkout', auth, requireVerifiedEmail, currency, checkout);
+router.get('/', auth, getOrders);
+router.get('/:id', auth, getOrderById);
+router.get('/:id/invoice', auth, getInvoice);
+router.post('/:id/cancel', auth, cancelOrder);
+router.post('/:id/pay', auth, requireVerifiedEmail, createOrderPayment);
+router.post('/:id/returns', auth, createReturn);
+
+module.exports = router;
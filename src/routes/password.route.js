@@ -0,0 +1,9 @@
+const express = require('express');
+const { forgotPassword, resetPassword } = require('../controllers/password');
+
+const router = express.Router();
+
+router.post('/forgot', forgotPassword);
+router.post('/reset', resetPassword);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { paymentWebhook } = require('../controllers/payment');
+
+const router = express.Router();
+
+// No auth: the provider proves itself with the webhook signature
+router.post('/webhook/:provider', paymentWebhook);
+
+module.exports = router;
@@ -1,18 +1,29 @@
 const express = require('express');
 const auth = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const currency = require('../middlewares/currency.middleware');
+const variantRouter = require('./variant.route');
+const reviewRouter = require('./review.route');
 const { createProduct, deleteProductById, editProduct, getProductById, getProducts, getProductsByCategory, getProductsBySubcategory, searchProduct } = require('../controllers/products');
 const router = express.Router();
 
 // Route handlers
-router.post('/create', auth, createProduct);
-router.get('/all', getProducts);
-router.get('/get/:id', getProductById);
-router.patch('/update/:id', auth, editProduct);
-router.get('/search', searchProduct);
-router.delete('/delete/:id', auth, deleteProductById);
+router.post('/create', auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), createProduct);
+router.get('/all', currency, getProducts);
+router.get('/get/:id', currency, getProductById);
+router.patch('/update/:id', auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), editProduct);
+router.get('/search', currency, searchProduct);
+router.delete('/delete/:id', auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), deleteProductById);
+
+// Variants of a single product
+router.use('/:id/variants', variantRouter);
+
+// Reviews of a single product
+router.use('/:id/reviews', reviewRouter);
 
 // Routes for category and subcategory
-router.get('/category/:category', getProductsByCategory);
-router.get('/subcategory/:subcategory', getProductsBySubcategory);
+router.get('/category/:category', currency, getProductsByCategory);
+router.get('/subcategory/:subcategory', currency, getProductsBySubcategory);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { getMyReturn, getMyReturns } = require('../controllers/return');
+
+// Returns are opened with POST /orders/:id/returns
+const router = express.Router();
+
+router.get('/', auth, getMyReturns);
+router.get('/:id', auth, getMyReturn);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { createReview, deleteMyReview, getMyReview, getProductReviews, updateMyReview } = require('../controllers/review');
+
+// Mounted under /products/:id/reviews. Reviews are moderated under /admin/reviews
+const router = express.Router({ mergeParams: true });
+
+router.get('/', getProductReviews);
+router.post('/', auth, createReview);
+router.get('/mine', auth, getMyReview);
+router.patch('/mine', auth, updateMyReview);
+router.delete('/mine', auth, deleteMyReview);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { refreshToken, logout, logoutAll } = require('../controllers/session');
+
+const router = express.Router();
+
+router.post('/token/refresh', refreshToken);
+router.post('/logout', auth, logout);
+router.post('/logout/all', auth, logoutAll);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const cartOwner = require('../middlewares/cart.middleware');
+const currency = require('../middlewares/currency.middleware');
+const { getShippingQuote } = require('../controllers/shipping');
+
+// Zones and methods are managed under /admin/shipping
+const router = express.Router();
+
+router.post('/quote', cartOwner, currency, getShippingQuote);
+
+module.exports = router;
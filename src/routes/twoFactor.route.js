@@ -0,0 +1,12 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { confirmTwoFactor, disableTwoFactor, regenerateRecoveryCodes, setupTwoFactor } = require('../controllers/twoFactor');
+
+const router = express.Router();
+
+router.post('/setup', auth, setupTwoFactor);
+router.post('/confirm', auth, confirmTwoFactor);
+router.post('/disable', auth, disableTwoFactor);
+router.post('/recovery-codes', auth, regenerateRecoveryCodes);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { createVariant, deleteVariant, getVariants, updateVariant } = require('../controllers/variant');
+
+// Mounted under /products/:id/variants
+const router = express.Router({ mergeParams: true });
+
+router.get('/', getVariants);
+router.post('/', auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), createVariant);
+router.patch('/:variantId', auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), updateVariant);
+router.delete('/:variantId', auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), deleteVariant);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const { verifyEmail, resendVerificationEmail } = require('../controllers/verification');
+
+const router = express.Router();
+
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email/resend', auth, resendVerificationEmail);
+
+module.exports = router;
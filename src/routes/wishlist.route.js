@@ -0,0 +1,24 @@
+const express = require('express');
+const auth = require('../middlewares/auth.middleware');
+const requireVerifiedEmail = require('../middlewares/verified.middleware');
+const currency = require('../middlewares/currency.middleware');
+const { addWishlistItem, createWishlist, deleteWishlist, getSharedWishlist, getWishlist, getWishlists, moveWishlistItemToCart, removeWishlistItem, renameWishlist, shareWishlist, unshareWishlist } = require('../controllers/wishlist');
+
+// :id is a wishlist id or "default" for the user's default list
+const router = express.Router();
+
+// Public, so it must come before /:id
+router.get('/shared/:token', currency, getSharedWishlist);
+
+router.get('/', auth, getWishlists);
+router.post('/', auth, createWishlist);
+router.get('/:id', auth, currency, getWishlist);
+router.patch('/:id', auth, renameWishlist);
+router.delete('/:id', auth, deleteWishlist);
+router.post('/:id/items', auth, currency, addWishlistItem);
+router.delete('/:id/items/:itemId', auth, removeWishlistItem);
+router.post('/:id/items/:itemId/move-to-cart', auth, requireVerifiedEmail, moveWishlistItemToCart);
+router.post('/:id/share', auth, shareWishlist);
+router.delete('/:id/share', auth, unshareWishlist);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// Promotes an existing user to ADMIN so the first admin account can be bootstrapped.
+// Usage: npm run create-admin -- <username>
+const dotenv = require('dotenv');
+dotenv.config();
+
+const prisma = require('../utils/prismaClient');
+
+const createAdmin = async () => {
+    const username = process.argv[2];
+
+    if (!username) {
+        console.error('Usage: npm run create-admin -- <username>');
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const user = await prisma.user.findFirst({ where: { username } });
+
+        if (!user) {
+            console.error(`User '${username}' not found. Register the account first.`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (user.role === 'ADMIN') {
+            console.log(`User '${username}' is already an admin`);
+            return;
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { role: 'ADMIN' },
+        });
+
+        console.log(`User '${username}' promoted to ADMIN`);
+    } catch (error) {
+        console.error('Create admin error:', error);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+};
+
+createAdmin();
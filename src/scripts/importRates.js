@@ -0,0 +1,38 @@
+// Imports exchange rates from a JSON file such as { "base": "USD", "rates": { "EUR": 0.92, "AZN": 1.7 } }.
+// Listed currencies are added or updated, others are left alone.
+// Usage: npm run import-rates -- <file>
+const fs = require('fs');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const prisma = require('../utils/prismaClient');
+const { importExchangeRates } = require('../utils/currency');
+
+const importRates = async () => {
+    const file = process.argv[2];
+
+    if (!file) {
+        console.error('Usage: npm run import-rates -- <file>');
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        const { count, error } = await importExchangeRates(prisma, JSON.parse(fs.readFileSync(file, 'utf8')));
+
+        if (error) {
+            console.error(error);
+            process.exitCode = 1;
+            return;
+        }
+
+        console.log(`Imported ${count} exchange rates from ${file}`);
+    } catch (error) {
+        console.error('Import rates error:', error);
+        process.exitCode = 1;
+    } finally {
+        await prisma.$disconnect();
+    }
+};
+
+importRates();
@@ -0,0 +1,45 @@
+// Sends a signed webhook for the mock payment provider, as the real gateway would after a payment.
+// Usage: npm run mock-webhook -- <providerRef> [payment.succeeded|payment.authorized|payment.failed]
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mock = require('../payments/mock');
+
+const EVENT_TYPES = ['payment.succeeded', 'payment.authorized', 'payment.failed'];
+
+const sendMockWebhook = async () => {
+    const [providerRef, type = 'payment.succeeded'] = process.argv.slice(2);
+
+    if (!providerRef || !EVENT_TYPES.includes(type)) {
+        console.error(`Usage: npm run mock-webhook -- <providerRef> [${EVENT_TYPES.join('|')}]`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const body = JSON.stringify({
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        data: { providerRef, reason: type === 'payment.failed' ? 'Card declined' : undefined },
+    });
+
+    const url = `${process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`}/payments/webhook/mock`;
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                [mock.SIGNATURE_HEADER]: mock.signWebhook(body),
+            },
+            body,
+        });
+
+        console.log(`${response.status} ${await response.text()}`);
+    } catch (error) {
+        console.error('Mock webhook error:', error);
+        process.exitCode = 1;
+    }
+};
+
+sendMockWebhook();
@@ -0,0 +1,96 @@
+const prisma = require('./prismaClient');
+
+// Postal code formats for the countries we ship to most; other countries only get a length check
+const POSTAL_CODE_PATTERNS = {
+    AZ: /^(AZ\s?)?\d{4}$/i,
+    TR: /^\d{5}$/,
+    GE: /^\d{4}$/,
+    RU: /^\d{6}$/,
+    UA: /^\d{5}$/,
+    KZ: /^([A-Z]\d{2}[A-Z]\d[A-Z]\d|\d{6})$/i,
+    DE: /^\d{5}$/,
+    FR: /^\d{5}$/,
+    IT: /^\d{5}$/,
+    ES: /^\d{5}$/,
+    NL: /^\d{4}\s?[A-Z]{2}$/i,
+    GB: /^[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}$/i,
+    US: /^\d{5}(-\d{4})?$/,
+    CA: /^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/i,
+};
+
+// Countries without a postal code system
+const NO_POSTAL_CODE = ['AE', 'HK', 'QA'];
+
+const ADDRESS_FIELDS = ['recipient', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'phone', 'isDefaultShipping', 'isDefaultBilling'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Validates a full address (after merging any partial update). Returns an error message or null
+const validateAddress = (address) => {
+    for (const field of ['recipient', 'line1', 'city', 'country', 'phone']) {
+        if (isBlank(address[field])) {
+            return `${field} is required`;
+        }
+    }
+
+    const country = String(address.country).toUpperCase();
+
+    if (!/^[A-Z]{2}$/.test(country)) {
+        return 'country must be a two-letter ISO 3166 code';
+    }
+
+    if (!/^\+?[\d\s()-]{6,20}$/.test(address.phone)) {
+        return 'phone is not a valid phone number';
+    }
+
+    if (NO_POSTAL_CODE.includes(country)) {
+        return null;
+    }
+
+    if (isBlank(address.postalCode)) {
+        return `postalCode is required for ${country}`;
+    }
+
+    const pattern = POSTAL_CODE_PATTERNS[country];
+    const postalCode = String(address.postalCode).trim();
+
+    if (pattern ? !pattern.test(postalCode) : postalCode.length > 12) {
+        return `postalCode is not valid for ${country}`;
+    }
+
+    return null;
+};
+
+// Picks the address fields out of a request body, normalizing country and postal code
+const pickAddressFields = (body) => {
+    const data = {};
+
+    ADDRESS_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+
+    if (data.country !== undefined && data.country !== null) data.country = String(data.country).trim().toUpperCase();
+    if (data.postalCode !== undefined && data.postalCode !== null) data.postalCode = String(data.postalCode).trim().toUpperCase();
+    if (data.isDefaultShipping !== undefined) data.isDefaultShipping = data.isDefaultShipping === true || data.isDefaultShipping === 'true';
+    if (data.isDefaultBilling !== undefined) data.isDefaultBilling = data.isDefaultBilling === true || data.isDefaultBilling === 'true';
+
+    return data;
+};
+
+// Looks up an address by id, scoped to its owner, so other flows (checkout, shipping quotes)
+// can accept an addressId from the client safely
+const findUserAddress = (userId, addressId) => {
+    const id = Number(addressId);
+
+    if (!Number.isInteger(id)) {
+        return Promise.resolve(null);
+    }
+
+    return prisma.address.findFirst({ where: { id, userId } });
+};
+
+module.exports = {
+    validateAddress,
+    pickAddressFields,
+    findUserAddress
+};
@@ -0,0 +1,263 @@
+const prisma = require('./prismaClient');
+const { hashToken, generateOpaqueToken } = require('./tokens');
+const { applySales, getActiveSales } = require('./sales');
+const { applyPercentOff, multiplyMoney, roundMoney, subtractMoney, sumMoney } = require('./money');
+
+// Guest carts are identified by an opaque token the client sends in this header
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+// Raised when an item can not be added to a cart; `status` is the HTTP status to answer with
+class CartError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CartError';
+        this.status = status;
+    }
+}
+
+// A variant's own price overrides the product price
+const basePrice = (product, variant = null) =>
+    variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price;
+
+// Product.discount is a percentage and applies to every variant. Load products through applySales
+// first so running sales are taken into account
+const discountedPrice = (product, variant = null) => applyPercentOff(basePrice(product, variant), product.discount);
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Parses a count from a request body or path; returns null unless it is a positive integer
+const parseCount = (value) => {
+    const count = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return isPositiveInteger(count) ? count : null;
+};
+
+const CART_PRODUCT_SELECT = {
+    id: true,
+    name: true,
+    images: true,
+    price: true,
+    discount: true,
+    weight: true,
+    categoryId: true,
+    brandsId: true,
+    taxClassId: true,
+    category: { select: { taxClassId: true } },
+};
+
+const CART_VARIANT_SELECT = {
+    id: true,
+    sku: true,
+    color: true,
+    size: true,
+    price: true,
+    stock: true,
+};
+
+// Computes per-line and cart totals for cart rows loaded with their product and variant
+const summarizeCart = (cartItems) => {
+    const items = cartItems.map((item) => {
+        const product = item.product_id;
+        const variant = item.variant || null;
+        const unitPrice = roundMoney(basePrice(product, variant));
+        const discountedUnitPrice = discountedPrice(product, variant);
+
+        return {
+            id: item.id,
+            productId: item.productId,
+            variantId: item.variantId,
+            count: item.count,
+            product,
+            variant,
+            unitPrice,
+            discountedUnitPrice,
+            lineTotal: multiplyMoney(discountedUnitPrice, item.count),
+        };
+    });
+
+    const fullPrice = sumMoney(items.map((item) => multiplyMoney(item.unitPrice, item.count)));
+    const subtotal = sumMoney(items.map((item) => item.lineTotal));
+
+    return {
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.count, 0),
+        subtotal,
+        discountTotal: subtractMoney(fullPrice, subtotal),
+    };
+};
+
+// A cart owner is { userId } or { guestCartId }, which maps straight onto the Cart columns
+const getCartSummary = async (owner) => {
+    if (!owner) {
+        return summarizeCart([]);
+    }
+
+    const cartItems = await prisma.cart.findMany({
+        where: owner,
+        include: {
+            product_id: { select: CART_PRODUCT_SELECT },
+            variant: { select: CART_VARIANT_SELECT },
+        },
+        orderBy: { id: 'asc' },
+    });
+
+    const sales = await getActiveSales(prisma);
+    cartItems.forEach((item) => {
+        item.product_id = applySales(item.product_id, sales);
+    });
+
+    return summarizeCart(cartItems);
+};
+
+// Pass the variant when the line has one, otherwise the product. Variants always track stock;
+// products only when Product.stock is set
+const exceedsStock = (stocked, count) => stocked.stock !== null && stocked.stock !== undefined && count > stocked.stock;
+
+const findGuestCart = (cartToken) => {
+    if (!cartToken || typeof cartToken !== 'string') {
+        return Promise.resolve(null);
+    }
+
+    return prisma.guestCart.findUnique({ where: { tokenHash: hashToken(cartToken) } });
+};
+
+// Returns the new guest cart and the plain token, which is only ever shown to the client once
+const createGuestCart = async () => {
+    const cartToken = generateOpaqueToken(32);
+    const guestCart = await prisma.guestCart.create({ data: { tokenHash: hashToken(cartToken) } });
+
+    return { guestCart, cartToken };
+};
+
+// Adds `count` of a product, or of one of its variants, to an owner's cart, raising the count of the
+// line it already has. Without an owner a guest cart is created first. Returns { product, variant,
+// cartToken }, cartToken only being set for a new guest cart. Throws a CartError when the item can
+// not be added
+const addCartItem = async (owner, { productId, variantId, count }) => {
+    const product = await prisma.product.findUnique({
+        where: { id: Number(productId) },
+        include: { variants: true },
+    });
+
+    if (!product) {
+        throw new CartError('Product not found', 404);
+    }
+
+    // Products with variants can only be bought as a specific variant
+    let variant = null;
+    if (product.variants.length > 0) {
+        if (!variantId) {
+            throw new CartError('This product has variants, variantId is required');
+        }
+
+        variant = product.variants.find((v) => v.id === Number(variantId));
+
+        if (!variant) {
+            throw new CartError('Variant not found for this product', 404);
+        }
+    } else if (variantId) {
+        throw new CartError('This product has no variants');
+    }
+
+    const { variants, ...productData } = product;
+    const stocked = variant || product;
+
+    const cartItem = owner
+        ? await prisma.cart.findFirst({ where: { ...owner, productId: product.id, variantId: variant ? variant.id : null } })
+        : null;
+
+    const newCount = (cartItem ? cartItem.count : 0) + count;
+    if (exceedsStock(stocked, newCount)) {
+        throw new CartError(`Only ${stocked.stock} left in stock`, 409);
+    }
+
+    let cartToken;
+    if (!owner) {
+        const guest = await createGuestCart();
+        owner = { guestCartId: guest.guestCart.id };
+        cartToken = guest.cartToken;
+    }
+
+    if (cartItem) {
+        await prisma.cart.update({
+            where: { id: cartItem.id },
+            data: { count: newCount },
+        });
+    } else {
+        await prisma.cart.create({
+            data: {
+                ...owner,
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                count,
+            },
+        });
+    }
+
+    return { product: productData, variant, cartToken };
+};
+
+// Moves a guest cart into the user's cart after login or register. Counts for the same product
+// are summed and capped at the available stock; the guest cart is deleted afterwards
+const mergeGuestCart = async (cartToken, userId) => {
+    const guestCart = await findGuestCart(cartToken);
+
+    if (!guestCart) {
+        return false;
+    }
+
+    await prisma.$transaction(async (tx) => {
+        const guestItems = await tx.cart.findMany({
+            where: { guestCartId: guestCart.id },
+            include: { product_id: true, variant: true },
+        });
+
+        for (const item of guestItems) {
+            const stocked = item.variant || item.product_id;
+            const existing = await tx.cart.findFirst({
+                where: { userId, productId: item.productId, variantId: item.variantId },
+            });
+
+            let count = (existing ? existing.count : 0) + item.count;
+            if (exceedsStock(stocked, count)) {
+                count = stocked.stock;
+            }
+
+            if (count <= 0) {
+                continue;
+            }
+
+            if (existing) {
+                await tx.cart.update({ where: { id: existing.id }, data: { count } });
+            } else {
+                await tx.cart.create({ data: { userId, productId: item.productId, variantId: item.variantId, count } });
+            }
+        }
+
+        // A coupon applied as a guest carries over unless the user already has one
+        if (guestCart.couponId) {
+            await tx.user.updateMany({
+                where: { id: userId, cartCouponId: null },
+                data: { cartCouponId: guestCart.couponId },
+            });
+        }
+
+        await tx.guestCart.delete({ where: { id: guestCart.id } });
+    });
+
+    return true;
+};
+
+module.exports = {
+    CART_TOKEN_HEADER,
+    CartError,
+    basePrice,
+    discountedPrice,
+    parseCount,
+    summarizeCart,
+    getCartSummary,
+    exceedsStock,
+    findGuestCart,
+    createGuestCart,
+    addCartItem,
+    mergeGuestCart
+};
@@ -0,0 +1,187 @@
+const prisma = require('./prismaClient');
+const { getCartSummary } = require('./cart');
+const { allocateMoney, percentOf, roundMoney, sumMoney } = require('./money');
+
+const COUPON_TYPES = ['PERCENTAGE', 'FIXED', 'FREE_SHIPPING'];
+
+const USAGE_LIMIT_REACHED = 'Coupon has reached its usage limit';
+const USED_BY_USER = 'You have already used this coupon';
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Without any product, category or brand ids the coupon applies to every product
+const isEligible = (coupon, product) => {
+    const restricted = coupon.productIds.length + coupon.categoryIds.length + coupon.brandIds.length > 0;
+
+    return !restricted
+        || coupon.productIds.includes(product.id)
+        || coupon.categoryIds.includes(product.categoryId)
+        || coupon.brandIds.includes(product.brandsId);
+};
+
+// Checks whether a coupon can be used on a summarized cart. Returns an error message or null.
+// `userId` is only known for signed-in carts, so the per-user limit is checked again at checkout
+const checkCoupon = async (client, coupon, cart, userId) => {
+    const now = new Date();
+
+    if (!coupon || !coupon.active) {
+        return 'Coupon code is not valid';
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+        return 'Coupon is not active yet';
+    }
+    if (coupon.endsAt && coupon.endsAt < now) {
+        return 'Coupon has expired';
+    }
+    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+        return USAGE_LIMIT_REACHED;
+    }
+
+    if (userId && coupon.maxUsesPerUser !== null) {
+        const usage = await client.couponUserUsage.findUnique({
+            where: { couponId_userId: { couponId: coupon.id, userId } },
+        });
+        if (usage && usage.count >= coupon.maxUsesPerUser) {
+            return USED_BY_USER;
+        }
+    }
+
+    if (coupon.minCartValue !== null && cart.subtotal < coupon.minCartValue) {
+        return `Coupon needs a cart of at least ${coupon.minCartValue}`;
+    }
+    if (!cart.items.some((item) => isEligible(coupon, item.product))) {
+        return 'Coupon does not apply to any item in the cart';
+    }
+
+    return null;
+};
+
+// Takes a checked coupon off a summarized cart. The discount is spread over the eligible lines in
+// proportion to their totals, so tax and refunds can be worked out per line. A null coupon only
+// adds the empty coupon fields
+const applyCoupon = (cart, coupon) => {
+    if (!coupon) {
+        return {
+            ...cart,
+            items: cart.items.map((item) => ({ ...item, couponDiscount: 0 })),
+            coupon: null,
+            couponDiscount: 0,
+            freeShipping: false,
+        };
+    }
+
+    const eligible = cart.items.filter((item) => isEligible(coupon, item.product));
+    const eligibleTotal = sumMoney(eligible.map((item) => item.lineTotal));
+
+    let couponDiscount = 0;
+    if (coupon.type === 'PERCENTAGE') {
+        couponDiscount = percentOf(eligibleTotal, Math.min(coupon.value, 100));
+    } else if (coupon.type === 'FIXED') {
+        couponDiscount = roundMoney(Math.min(coupon.value, eligibleTotal));
+    }
+
+    // The last eligible line takes the rounding difference, so the shares add up to the discount
+    const shares = allocateMoney(couponDiscount, eligible.map((item) => item.lineTotal));
+    const items = cart.items.map((item) => {
+        const index = eligible.indexOf(item);
+        return { ...item, couponDiscount: index === -1 ? 0 : shares[index] };
+    });
+
+    return {
+        ...cart,
+        items,
+        coupon: { id: coupon.id, code: coupon.code, type: coupon.type, value: coupon.value },
+        couponDiscount,
+        freeShipping: coupon.type === 'FREE_SHIPPING',
+    };
+};
+
+// Reads the coupon applied to a cart owner ({ userId } or { guestCartId })
+const getCartCoupon = async (client, owner) => {
+    if (!owner) {
+        return null;
+    }
+
+    const holder = owner.userId
+        ? await client.user.findUnique({ where: { id: owner.userId }, select: { cartCoupon: true } })
+        : await client.guestCart.findUnique({ where: { id: owner.guestCartId }, select: { coupon: true } });
+
+    if (!holder) {
+        return null;
+    }
+    return owner.userId ? holder.cartCoupon : holder.coupon;
+};
+
+// Summarizes an owner's cart with its coupon applied. A coupon that stopped applying (expired, cart
+// below the minimum, ...) stays on the cart but is left out, and the reason is set as couponError
+const getCouponedCart = async (owner, userId = null) => {
+    const cart = await getCartSummary(owner);
+    const coupon = await getCartCoupon(prisma, owner);
+    const couponError = coupon ? await checkCoupon(prisma, coupon, cart, userId) : null;
+
+    if (couponError) {
+        return { ...applyCoupon(cart, null), couponError: `${coupon.code}: ${couponError}` };
+    }
+    return applyCoupon(cart, coupon);
+};
+
+// Applies a coupon to a cart owner, or removes it with null
+const setCartCoupon = (client, owner, couponId) =>
+    owner.userId
+        ? client.user.update({ where: { id: owner.userId }, data: { cartCouponId: couponId } })
+        : client.guestCart.update({ where: { id: owner.guestCartId }, data: { couponId } });
+
+// Counts a use of the coupon for an order placed in the caller's transaction. The usage limits are
+// part of the updates, so two checkouts racing for the last use (overall or for the user) can not
+// both get it. Returns an error message when a limit has been reached in the meantime, else null
+const redeemCoupon = async (tx, coupon, { userId, orderId }) => {
+    if (userId) {
+        const key = { couponId: coupon.id, userId };
+        await tx.couponUserUsage.createMany({ data: [key], skipDuplicates: true });
+
+        const where = coupon.maxUsesPerUser === null ? key : { ...key, count: { lt: coupon.maxUsesPerUser } };
+        const { count } = await tx.couponUserUsage.updateMany({ where, data: { count: { increment: 1 } } });
+        if (count === 0) {
+            return USED_BY_USER;
+        }
+    }
+
+    const where = coupon.maxUses === null ? { id: coupon.id } : { id: coupon.id, usedCount: { lt: coupon.maxUses } };
+    const { count } = await tx.coupon.updateMany({ where, data: { usedCount: { increment: 1 } } });
+
+    if (count === 0) {
+        return USAGE_LIMIT_REACHED;
+    }
+
+    await tx.couponRedemption.create({ data: { couponId: coupon.id, userId, orderId } });
+    return null;
+};
+
+// Gives the coupon use of a cancelled order back
+const releaseCoupon = async (tx, order) => {
+    const redemption = await tx.couponRedemption.findUnique({ where: { orderId: order.id } });
+    if (!redemption) {
+        return;
+    }
+
+    await tx.couponRedemption.delete({ where: { id: redemption.id } });
+    await tx.coupon.update({ where: { id: redemption.couponId }, data: { usedCount: { decrement: 1 } } });
+    if (redemption.userId) {
+        await tx.couponUserUsage.updateMany({
+            where: { couponId: redemption.couponId, userId: redemption.userId, count: { gt: 0 } },
+            data: { count: { decrement: 1 } },
+        });
+    }
+};
+
+module.exports = {
+    COUPON_TYPES,
+    normalizeCode,
+    checkCoupon,
+    applyCoupon,
+    getCartCoupon,
+    getCouponedCart,
+    setCartCoupon,
+    redeemCoupon,
+    releaseCoupon
+};
@@ -0,0 +1,156 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const normalizeCurrency = (code) => String(code || '').trim().toUpperCase();
+
+const isCurrencyCode = (code) => /^[A-Z]{3}$/.test(code);
+
+// Prices, carts and orders are stored in the base currency. Other currencies are only shown, at the
+// exchange rates admins keep under /admin/currencies. Falls back to PAYMENT_CURRENCY, which set the
+// store currency before there were several
+const BASE_CURRENCY = normalizeCurrency(process.env.BASE_CURRENCY || process.env.PAYMENT_CURRENCY || 'USD');
+
+// Requests pick a currency with ?currency= or this header
+const CURRENCY_HEADER = 'x-currency';
+
+// ISO 4217 minor units of the currencies that do not have two decimals
+const CURRENCY_DECIMALS = {
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0,
+    PYG: 0, RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+};
+
+const currencyDecimals = (code) => (CURRENCY_DECIMALS[code] === undefined ? 2 : CURRENCY_DECIMALS[code]);
+
+// Rounds half up to the currency's minor unit. Every converted amount goes through here
+const roundCurrency = (value, code) => {
+    const factor = 10 ** currencyDecimals(code);
+    return Math.round(value * factor) / factor;
+};
+
+const baseCurrency = () => ({ code: BASE_CURRENCY, rate: 1, decimals: currencyDecimals(BASE_CURRENCY) });
+
+// Resolves a currency code to { code, rate, decimals }, rate being units of it per unit of the base
+// currency. Returns null when there is no exchange rate for it. `client` is prisma or a transaction
+const getCurrency = async (client, code) => {
+    const normalized = normalizeCurrency(code);
+
+    if (!normalized || normalized === BASE_CURRENCY) {
+        return baseCurrency();
+    }
+
+    const exchangeRate = await client.exchangeRate.findUnique({ where: { currency: normalized } });
+    if (!exchangeRate) {
+        return null;
+    }
+    return { code: normalized, rate: exchangeRate.rate, decimals: currencyDecimals(normalized) };
+};
+
+const isValidRate = (rate) => typeof rate === 'number' && Number.isFinite(rate) && rate > 0;
+
+// Upserts exchange rates from { base, rates: { EUR: 0.92, ... } }, the shape most rate feeds export.
+// Checks everything before writing anything. Returns { count } or { error }
+const importExchangeRates = async (client, { base, rates } = {}) => {
+    if (normalizeCurrency(base) !== BASE_CURRENCY) {
+        return { error: `Rates must be against the base currency ${BASE_CURRENCY}` };
+    }
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+        return { error: 'rates must be an object of currency codes to rates' };
+    }
+
+    const entries = Object.entries(rates)
+        .map(([code, rate]) => [normalizeCurrency(code), rate])
+        .filter(([code]) => code !== BASE_CURRENCY);
+
+    const invalid = entries.find(([code, rate]) => !isCurrencyCode(code) || !isValidRate(rate));
+    if (invalid) {
+        return { error: `Invalid rate for ${invalid[0]}: ${invalid[1]}` };
+    }
+
+    await client.$transaction(entries.map(([currency, rate]) =>
+        client.exchangeRate.upsert({ where: { currency }, create: { currency, rate }, update: { rate } })));
+
+    return { count: entries.length };
+};
+
+// The currency an order was placed in, at the rate recorded at checkout
+const orderCurrency = (order) => {
+    const code = order.currency || BASE_CURRENCY;
+    return { code, rate: order.exchangeRate || 1, decimals: currencyDecimals(code) };
+};
+
+const convertAmount = (amount, currency) =>
+    (amount === null || amount === undefined ? amount : roundCurrency(amount * currency.rate, currency.code));
+
+const convertFields = (object, fields, currency) => {
+    const converted = { ...object };
+    fields.forEach((field) => {
+        if (typeof converted[field] === 'number') converted[field] = convertAmount(converted[field], currency);
+    });
+    return converted;
+};
+
+const convertTaxLines = (taxLines, currency) =>
+    (Array.isArray(taxLines) ? taxLines.map((line) => convertFields(line, ['amount'], currency)) : taxLines);
+
+// A product response, with its variants if they were loaded
+const convertProduct = (product, currency) => {
+    const converted = { ...convertFields(product, ['price', 'effectivePrice'], currency), currency: currency.code };
+
+    if (product.variants) {
+        converted.variants = product.variants.map((variant) => convertFields(variant, ['price', 'effectivePrice'], currency));
+    }
+    return converted;
+};
+
+// A summarized cart, with or without its coupon, tax and shipping fields
+const convertCart = (cart, currency) => {
+    const converted = convertFields(cart, ['subtotal', 'discountTotal', 'couponDiscount', 'taxTotal', 'total'], currency);
+
+    converted.currency = currency.code;
+    converted.items = cart.items.map((item) => ({
+        ...convertFields(item, ['unitPrice', 'discountedUnitPrice', 'lineTotal', 'couponDiscount', 'taxAmount'], currency),
+        product: item.product && convertFields(item.product, ['price'], currency),
+        variant: item.variant && convertFields(item.variant, ['price'], currency),
+    }));
+    if (cart.taxLines) converted.taxLines = convertTaxLines(cart.taxLines, currency);
+    if (cart.coupon && cart.coupon.type === 'FIXED') converted.coupon = convertFields(cart.coupon, ['value'], currency);
+
+    return converted;
+};
+
+// An order response in the currency it was placed in. Payments and refunds keep their own currency
+const convertOrder = (order) => {
+    const currency = orderCurrency(order);
+    const converted = convertFields(
+        order,
+        ['subtotal', 'discountTotal', 'shippingCost', 'taxTotal', 'couponDiscount', 'total'],
+        currency
+    );
+
+    converted.currency = currency.code;
+    converted.taxLines = convertTaxLines(order.taxLines, currency);
+    if (order.items) {
+        converted.items = order.items.map((item) =>
+            convertFields(item, ['unitPrice', 'discountedUnitPrice', 'lineTotal', 'taxAmount', 'couponDiscount'], currency));
+    }
+    return converted;
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCY_HEADER,
+    normalizeCurrency,
+    isCurrencyCode,
+    isValidRate,
+    currencyDecimals,
+    roundCurrency,
+    getCurrency,
+    importExchangeRates,
+    orderCurrency,
+    convertAmount,
+    convertProduct,
+    convertCart,
+    convertOrder
+};
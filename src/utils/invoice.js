@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const dotenv = require('dotenv');
+const prisma = require('./prismaClient');
+const { currencyDecimals, roundCurrency } = require('./currency');
+const { sumMoney } = require('./money');
+const { PAYMENT_CURRENCY } = require('../payments');
+const { uploadPrivateBuffer } = require('../middlewares/upload.middleware');
+const { sendOrderConfirmationEmail } = require('../email/email');
+
+dotenv.config();
+
+const SELLER = {
+    name: process.env.SELLER_NAME || 'Emporium',
+    address: process.env.SELLER_ADDRESS || '',
+    taxId: process.env.SELLER_TAX_ID || '',
+    email: process.env.SELLER_EMAIL || process.env.EMAIL_USER || '',
+};
+
+// Name of the Counter row invoice numbers are taken from
+const INVOICE_COUNTER = 'invoice';
+
+// Orders that were never paid get no invoice
+const INVOICEABLE_STATUSES = ['PAID', 'PACKED', 'SHIPPED', 'DELIVERED', 'REFUNDED'];
+
+const formatInvoiceNumber = (number) => `INV-${String(number).padStart(6, '0')}`;
+
+const invoiceFileName = (invoice) => `${formatInvoiceNumber(invoice.number)}.pdf`;
+
+// Invoices are in the currency the order was charged in, whatever currency it was shown in
+const money = (value) => `${roundCurrency(value, PAYMENT_CURRENCY).toFixed(currencyDecimals(PAYMENT_CURRENCY))} ${PAYMENT_CURRENCY}`;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Column x positions and widths of the line item table
+const COLUMNS = [
+    { label: 'Item', x: 50, width: 190, align: 'left' },
+    { label: 'SKU', x: 240, width: 80, align: 'left' },
+    { label: 'Qty', x: 320, width: 35, align: 'right' },
+    { label: 'Unit price', x: 355, width: 70, align: 'right' },
+    { label: 'Discount', x: 425, width: 50, align: 'right' },
+    { label: 'Total', x: 475, width: 70, align: 'right' },
+];
+
+const drawRow = (doc, y, values, font = 'Helvetica') => {
+    doc.font(font).fontSize(9);
+    COLUMNS.forEach((column, index) => {
+        doc.text(values[index], column.x, y, { width: column.width, align: column.align });
+    });
+    // Long product names wrap, so the next row starts below the tallest cell
+    return y + Math.max(14, doc.heightOfString(values[0], { width: COLUMNS[0].width }) + 4);
+};
+
+const drawAddress = (doc, title, lines, x, y) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(title, x, y);
+    doc.font('Helvetica').fontSize(9);
+    lines.filter(Boolean).forEach((line) => doc.text(line, x));
+};
+
+// Renders the invoice of an order (loaded with its items) into a PDF buffer. Everything on it comes
+// from the order's own snapshot, so regenerating an invoice later gives the same document
+const generateInvoicePdf = (order, invoice) =>
+    new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.font('Helvetica-Bold').fontSize(20).text('INVOICE', 50, 50);
+        doc.font('Helvetica').fontSize(10)
+            .text(`Invoice number: ${formatInvoiceNumber(invoice.number)}`, 350, 50, { align: 'right' })
+            .text(`Invoice date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+            .text(`Order: #${order.id} (${formatDate(order.createdAt)})`, { align: 'right' });
+
+        drawAddress(doc, 'Seller', [
+            SELLER.name,
+            SELLER.address,
+            SELLER.taxId && `Tax ID: ${SELLER.taxId}`,
+            SELLER.email,
+        ], 50, 120);
+
+        const address = order.shippingAddress || {};
+        drawAddress(doc, 'Bill to', [
+            address.recipient,
+            address.line1,
+            address.line2,
+            [address.postalCode, address.city].filter(Boolean).join(' '),
+            [address.region, address.country].filter(Boolean).join(', '),
+            address.phone,
+        ], 320, 120);
+
+        let y = 230;
+        y = drawRow(doc, y, COLUMNS.map((column) => column.label), 'Helvetica-Bold');
+        doc.moveTo(50, y - 2).lineTo(545, y - 2).stroke();
+
+        order.items.forEach((item) => {
+            if (y > 740) {
+                doc.addPage();
+                y = 50;
+            }
+
+            const name = [item.productName, item.color, item.size].filter(Boolean).join(' / ');
+            y = drawRow(doc, y, [
+                name,
+                item.sku || '-',
+                String(item.count),
+                money(item.unitPrice),
+                item.discount ? `${item.discount}%` : '-',
+                money(item.lineTotal),
+            ]);
+        });
+
+        doc.moveTo(50, y + 2).lineTo(545, y + 2).stroke();
+        y += 10;
+
+        // With tax-inclusive prices the tax is already part of the subtotal and only shown for reference
+        const taxLines = (order.taxLines || []).map((line) => [
+            `${order.pricesIncludeTax ? 'Incl. ' : ''}${line.name} ${line.rate}%`,
+            money(line.amount),
+        ]);
+
+        const totals = [
+            ['Subtotal', money(sumMoney([order.subtotal, order.discountTotal]))],
+            ['Discount', `-${money(order.discountTotal)}`],
+            ...(order.couponDiscount > 0 ? [[`Coupon (${order.couponCode})`, `-${money(order.couponDiscount)}`]] : []),
+            [order.shippingMethodName ? `Shipping (${order.shippingMethodName})` : 'Shipping', money(order.shippingCost)],
+            ...(taxLines.length > 0 ? taxLines : [['Tax', money(0)]]),
+            ['Total', money(order.total)],
+        ];
+
+        totals.forEach(([label, value], index) => {
+            const font = index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+            doc.font(font).fontSize(10)
+                .text(label, 245, y, { width: 220, align: 'right' })
+                .text(value, 465, y, { width: 80, align: 'right' });
+            y += 16;
+        });
+
+        doc.end();
+    });
+
+// Takes the next invoice number from the counter row and creates the invoice in the same transaction.
+// The counter row stays locked until commit, and a failed insert rolls the increment back, so numbers
+// have no gaps
+const issueInvoice = (orderId) =>
+    prisma.$transaction(async (tx) => {
+        const counter = await tx.counter.update({
+            where: { name: INVOICE_COUNTER },
+            data: { value: { increment: 1 } },
+        });
+
+        return tx.invoice.create({ data: { orderId, number: counter.value } });
+    });
+
+// Stores the PDF of an invoice that has none yet in the private bucket, under a key with a random
+// part so it cannot be guessed from the invoice number. A failed upload is logged and tried again on
+// the next call, so it never keeps the invoice from being returned or emailed
+const storeInvoicePdf = async (invoice, pdf) => {
+    if (invoice.fileKey) {
+        return invoice;
+    }
+
+    try {
+        const key = `invoices/${formatInvoiceNumber(invoice.number)}-${crypto.randomBytes(16).toString('hex')}.pdf`;
+        const fileKey = await uploadPrivateBuffer(key, pdf, 'application/pdf');
+        if (!fileKey) {
+            return invoice;
+        }
+        return await prisma.invoice.update({ where: { id: invoice.id }, data: { fileKey } });
+    } catch (error) {
+        console.error("Invoice upload error:", error);
+        return invoice;
+    }
+};
+
+// Returns the order's invoice and its PDF. The first call issues the invoice (next number); the PDF
+// is stored in the private S3 bucket by the first call that manages to upload it. Later calls render
+// the same document again from the order
+const getOrCreateInvoice = async (order) => {
+    let invoice = await prisma.invoice.findUnique({ where: { orderId: order.id } });
+
+    if (!invoice) {
+        try {
+            invoice = await issueInvoice(order.id);
+        } catch (error) {
+            if (error.code !== 'P2002') {
+                throw error;
+            }
+            // Another request issued it first
+            invoice = await prisma.invoice.findUnique({ where: { orderId: order.id } });
+        }
+    }
+
+    const pdf = await generateInvoicePdf(order, invoice);
+
+    return { invoice: await storeInvoicePdf(invoice, pdf), pdf };
+};
+
+// Emails the order confirmation with the invoice attached, once the order has been paid.
+// Never throws: the payment is already recorded, a failed email must not undo that
+const sendOrderConfirmation = async (orderId) => {
+    try {
+        const order = await prisma.order.findUnique({
+            where: { id: orderId },
+            include: { items: { orderBy: { id: 'asc' } }, user: true },
+        });
+
+        if (!order || !order.user) {
+            return;
+        }
+
+        const { invoice, pdf } = await getOrCreateInvoice(order);
+
+        await sendOrderConfirmationEmail(order.user.email, order.user.name, order, invoiceFileName(invoice), pdf);
+    } catch (error) {
+        console.error("Order confirmation error:", error);
+    }
+};
+
+module.exports = {
+    INVOICEABLE_STATUSES,
+    formatInvoiceNumber,
+    invoiceFileName,
+    generateInvoicePdf,
+    getOrCreateInvoice,
+    sendOrderConfirmation
+};
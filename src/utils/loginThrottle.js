@@ -0,0 +1,123 @@
+const dotenv = require('dotenv');
+const prisma = require('./prismaClient');
+
+dotenv.config();
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 30;
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 50;
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+
+// The first few mistakes are free, after that each failure doubles the wait (1s, 2s, 4s ... capped at 60s)
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+const delaySecondsFor = (failedAttempts) => {
+    if (failedAttempts < FREE_ATTEMPTS) {
+        return 0;
+    }
+    return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Returns the number of seconds the IP has to wait, or 0 when it may try again
+const getIpRetryAfter = async (ip) => {
+    const windowStart = new Date(Date.now() - LOGIN_IP_WINDOW_MINUTES * 60 * 1000);
+
+    const failures = await prisma.loginAttempt.findMany({
+        where: { ip, success: false, createdAt: { gte: windowStart } },
+        orderBy: { createdAt: 'asc' },
+        select: { createdAt: true },
+        take: LOGIN_IP_MAX_ATTEMPTS,
+    });
+
+    if (failures.length < LOGIN_IP_MAX_ATTEMPTS) {
+        return 0;
+    }
+
+    // Blocked until the oldest failure in the window ages out
+    const oldest = failures[0].createdAt;
+    return secondsUntil(new Date(oldest.getTime() + LOGIN_IP_WINDOW_MINUTES * 60 * 1000));
+};
+
+// Returns { locked, retryAfter } for the account; retryAfter is 0 when a login attempt is allowed now
+const getAccountRetryAfter = (user) => {
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+        return { locked: true, retryAfter: secondsUntil(user.lockedUntil) };
+    }
+
+    const delay = delaySecondsFor(user.failedLoginAttempts);
+    if (delay > 0 && user.lastFailedLoginAt) {
+        const nextAttemptAt = new Date(user.lastFailedLoginAt.getTime() + delay * 1000);
+        if (nextAttemptAt > new Date()) {
+            return { locked: false, retryAfter: secondsUntil(nextAttemptAt) };
+        }
+    }
+
+    return { locked: false, retryAfter: 0 };
+};
+
+// Records a failed password attempt. Returns the updated user when this attempt locked the account, otherwise null.
+// The count is incremented in the database and the lock is set by a conditional write, so parallel guesses
+// can not each record the same attempt number and slip under LOGIN_MAX_ATTEMPTS
+const recordFailedLogin = async ({ ip, username, user }) => {
+    await prisma.loginAttempt.create({
+        data: { ip, username, userId: user ? user.id : null, success: false },
+    });
+
+    if (!user) {
+        return null;
+    }
+
+    const now = new Date();
+
+    // A lock that already expired starts a fresh count
+    await prisma.user.updateMany({
+        where: { id: user.id, lockedUntil: { lte: now } },
+        data: { failedLoginAttempts: 0, lockedUntil: null },
+    });
+
+    const updatedUser = await prisma.user.update({
+        where: { id: user.id },
+        data: { failedLoginAttempts: { increment: 1 }, lastFailedLoginAt: now },
+    });
+
+    if (updatedUser.failedLoginAttempts < LOGIN_MAX_ATTEMPTS) {
+        return null;
+    }
+
+    // Only the attempt that sets the lock reports it, so the unlock email goes out once
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000);
+    const { count } = await prisma.user.updateMany({
+        where: { id: user.id, OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }] },
+        data: { lockedUntil },
+    });
+
+    return count === 1 ? { ...updatedUser, lockedUntil } : null;
+};
+
+const recordSuccessfulLogin = async ({ ip, username, user }) => {
+    await prisma.loginAttempt.create({
+        data: { ip, username, userId: user.id, success: true },
+    });
+
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+        await unlockUser(user.id);
+    }
+};
+
+const unlockUser = (userId) =>
+    prisma.user.update({
+        where: { id: userId },
+        data: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null },
+    });
+
+module.exports = {
+    LOGIN_LOCK_MINUTES,
+    getIpRetryAfter,
+    getAccountRetryAfter,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    unlockUser
+};
@@ -0,0 +1,94 @@
+// Money columns are Decimal(12,2) and come out of prismaClient as numbers with at most two decimals.
+// Arithmetic on them goes through integer minor units (cents) here, so sums, discounts and tax do not
+// pick up binary float drift like 0.1 + 0.2 = 0.30000000000000004
+const MINOR_UNITS = 100;
+
+// Largest amount a Decimal(12,2) column holds
+const MAX_MONEY = 9999999999.99;
+
+// Per-unit rates (ShippingMethod.pricePerKg) are Decimal(12,4), so they keep fractions of a cent.
+// They are multiplied in ten-thousandths
+const RATE_UNITS = 10000;
+
+// Largest rate a Decimal(12,4) column holds
+const MAX_RATE = 99999999.9999;
+
+const toMinor = (amount) => Math.round(Number(amount || 0) * MINOR_UNITS);
+
+const fromMinor = (minor) => minor / MINOR_UNITS;
+
+// Rounds half up to whole cents
+const roundMoney = (amount) => fromMinor(toMinor(amount));
+
+const sumMoney = (amounts) => fromMinor(amounts.reduce((sum, amount) => sum + toMinor(amount), 0));
+
+const subtractMoney = (amount, ...deductions) =>
+    fromMinor(deductions.reduce((minor, deduction) => minor - toMinor(deduction), toMinor(amount)));
+
+// Scales an amount by a count or a ratio, rounding the result to cents
+const multiplyMoney = (amount, factor) => fromMinor(Math.round(toMinor(amount) * factor));
+
+// Charges a quantity at a rate with up to four decimals, rounding only the result to cents
+const multiplyRate = (rate, quantity) =>
+    fromMinor(Math.round((Math.round(Number(rate || 0) * RATE_UNITS) * quantity * MINOR_UNITS) / RATE_UNITS));
+
+const percentOf = (amount, percent) => fromMinor(Math.round((toMinor(amount) * percent) / 100));
+
+// What is left of an amount after a percentage discount
+const applyPercentOff = (amount, percent) => subtractMoney(amount, percentOf(amount, percent || 0));
+
+// Splits an amount over shares in proportion to their weights. The last share takes the rounding
+// difference, so the shares always add up to the amount
+const allocateMoney = (amount, weights) => {
+    const total = weights.reduce((sum, weight) => sum + toMinor(weight), 0);
+    let remaining = toMinor(amount);
+
+    return weights.map((weight, index) => {
+        let share = remaining;
+        if (index < weights.length - 1) {
+            share = total === 0 ? 0 : Math.round((toMinor(amount) * toMinor(weight)) / total);
+        }
+        remaining -= share;
+        return fromMinor(share);
+    });
+};
+
+const decimalText = (value) => (typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : '');
+
+// Parses an amount sent by a client without going through parseFloat: a non-negative number or
+// numeric string with at most two decimals. Returns the amount, or null when it is not valid
+const parseMoney = (value) => {
+    const text = decimalText(value);
+
+    if (!/^\d+(\.\d{1,2})?$/.test(text) || Number(text) > MAX_MONEY) {
+        return null;
+    }
+    return Number(text);
+};
+
+// Same as parseMoney for a rate, which may have up to four decimals
+const parseRate = (value) => {
+    const text = decimalText(value);
+
+    if (!/^\d+(\.\d{1,4})?$/.test(text) || Number(text) > MAX_RATE) {
+        return null;
+    }
+    return Number(text);
+};
+
+module.exports = {
+    MAX_MONEY,
+    MAX_RATE,
+    toMinor,
+    fromMinor,
+    roundMoney,
+    sumMoney,
+    subtractMoney,
+    multiplyMoney,
+    multiplyRate,
+    percentOf,
+    applyPercentOff,
+    allocateMoney,
+    parseMoney,
+    parseRate
+};
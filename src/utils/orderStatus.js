@@ -0,0 +1,115 @@
+const prisma = require('./prismaClient');
+const { OrderError } = require('./orders');
+const { releaseCoupon } = require('./coupons');
+
+// The legal moves of the order state machine. A paid order is never just cancelled: the
+// money goes back, so it is refunded instead
+const ORDER_TRANSITIONS = {
+    PENDING: ['PAID', 'CANCELLED'],
+    PAID: ['PACKED', 'REFUNDED'],
+    PACKED: ['SHIPPED', 'REFUNDED'],
+    SHIPPED: ['DELIVERED'],
+    DELIVERED: ['REFUNDED'],
+    CANCELLED: [],
+    REFUNDED: [],
+};
+
+// Payments that may still take the customer's money. An order is not cancelled while it has one,
+// or the money could be captured against a cancelled order
+const OPEN_PAYMENT_STATUSES = ['PENDING', 'AUTHORIZED', 'CAPTURING'];
+
+const PAYMENT_IN_PROGRESS = 'Order has a payment in progress; it can be cancelled once the payment fails';
+
+// Statuses in which the goods are still in the warehouse
+const UNSHIPPED_STATUSES = ['PENDING', 'PAID', 'PACKED'];
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Goods that never left the warehouse go back into stock. Delivered goods only come back through a return
+const restocksOn = (from, to) => (to === 'CANCELLED' || to === 'REFUNDED') && UNSHIPPED_STATUSES.includes(from);
+
+// Puts `count` units of each { productId, variantId, count } back into stock
+const restockItems = async (tx, items) => {
+    for (const item of items) {
+        if (item.variantId) {
+            await tx.productVariant.updateMany({
+                where: { id: item.variantId },
+                data: { stock: { increment: item.count } },
+            });
+        } else if (item.productId) {
+            // Products that do not track stock are left alone
+            await tx.product.updateMany({
+                where: { id: item.productId, stock: { not: null } },
+                data: { stock: { increment: item.count } },
+            });
+        }
+    }
+};
+
+// Moves an order to `toStatus` inside the caller's transaction, writing a history row and
+// restoring stock when needed. Pass `userId` to only allow the move on that user's order.
+// Throws an OrderError for missing orders and illegal transitions
+const applyTransition = async (tx, orderId, toStatus, { changedById = null, note = null, userId } = {}) => {
+    const where = userId === undefined ? { id: orderId } : { id: orderId, userId };
+    const order = await tx.order.findFirst({ where, include: { items: true } });
+
+    if (!order) {
+        throw new OrderError('Order not found', 404);
+    }
+
+    if (!canTransition(order.status, toStatus)) {
+        throw new OrderError(`Order can not move from ${order.status} to ${toStatus}`, 409);
+    }
+
+    // Guarded on the current status so two concurrent transitions can not both apply
+    const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: order.status },
+        data: { status: toStatus },
+    });
+
+    if (count === 0) {
+        throw new OrderError('Order status was changed by another request, please retry', 409);
+    }
+
+    // Checked after the update above has locked the order's row: a payment is only created while
+    // holding the same lock (POST /orders/:id/pay), so it is either seen here or refused there
+    if (toStatus === 'CANCELLED') {
+        const openPayments = await tx.payment.count({ where: { orderId: order.id, status: { in: OPEN_PAYMENT_STATUSES } } });
+        if (openPayments > 0) {
+            throw new OrderError(PAYMENT_IN_PROGRESS, 409);
+        }
+    }
+
+    await tx.orderStatusHistory.create({
+        data: { orderId: order.id, fromStatus: order.status, toStatus, changedById, note: note || null },
+    });
+
+    if (restocksOn(order.status, toStatus)) {
+        await restockItems(tx, order.items);
+    }
+
+    if (toStatus === 'CANCELLED' && order.couponId) {
+        await releaseCoupon(tx, order);
+    }
+
+    return tx.order.findUnique({
+        where: { id: order.id },
+        include: {
+            items: { orderBy: { id: 'asc' } },
+            history: { orderBy: { id: 'asc' } },
+        },
+    });
+};
+
+const transitionOrder = (orderId, toStatus, options) =>
+    prisma.$transaction((tx) => applyTransition(tx, orderId, toStatus, options));
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    OPEN_PAYMENT_STATUSES,
+    PAYMENT_IN_PROGRESS,
+    canTransition,
+    restockItems,
+    applyTransition,
+    transitionOrder
+};
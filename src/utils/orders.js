@@ -0,0 +1,190 @@
+const prisma = require('./prismaClient');
+const { summarizeCart, exceedsStock } = require('./cart');
+const { sumMoney } = require('./money');
+const { quoteShipping } = require('./shipping');
+const { taxCart } = require('./tax');
+const { applyCoupon, checkCoupon, getCartCoupon, redeemCoupon } = require('./coupons');
+const { applySales, getActiveSales } = require('./sales');
+
+const ORDER_STATUSES = ['PENDING', 'PAID', 'PACKED', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED'];
+
+// Raised inside order transactions to roll them back; `status` is the HTTP status to answer with
+class OrderError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OrderError';
+        this.status = status;
+    }
+}
+
+const SHIPPING_ADDRESS_FIELDS = ['recipient', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'phone'];
+
+// Copies an address book entry onto the order, without its ids and default flags
+const snapshotAddress = (address) => {
+    const snapshot = {};
+
+    SHIPPING_ADDRESS_FIELDS.forEach((field) => {
+        snapshot[field] = address[field] === undefined ? null : address[field];
+    });
+
+    return snapshot;
+};
+
+// Takes `count` units out of stock. The stock condition is part of the update, so two
+// checkouts racing for the last units can not both succeed
+const decrementStock = async (tx, item) => {
+    if (item.variant) {
+        const { count } = await tx.productVariant.updateMany({
+            where: { id: item.variant.id, stock: { gte: item.count } },
+            data: { stock: { decrement: item.count } },
+        });
+        return count > 0;
+    }
+
+    // Products without Product.stock are not stock tracked
+    if (item.product_id.stock === null) {
+        return true;
+    }
+
+    const { count } = await tx.product.updateMany({
+        where: { id: item.product_id.id, stock: { gte: item.count } },
+        data: { stock: { decrement: item.count } },
+    });
+    return count > 0;
+};
+
+// Turns the user's cart into a PENDING order: validates every line, snapshots names and prices,
+// takes the items out of stock and empties the cart, all in one transaction. Shipping is priced
+// with the given method, or the cheapest one that ships to the address, and the items are taxed
+// at the rates of the address. A coupon applied to the cart is checked again and redeemed.
+// `currency` is the one the customer shops in; the order records it with its exchange rate.
+// Throws an OrderError when the cart can not be checked out
+const placeOrder = (userId, { shippingAddress, shippingMethodId, note, currency }) =>
+    prisma.$transaction(async (tx) => {
+        const cartItems = await tx.cart.findMany({
+            where: { userId },
+            include: {
+                product_id: {
+                    include: {
+                        _count: { select: { variants: true } },
+                        category: { select: { taxClassId: true } },
+                    },
+                },
+                variant: true,
+            },
+            orderBy: { id: 'asc' },
+        });
+
+        if (cartItems.length === 0) {
+            throw new OrderError('Cart is empty');
+        }
+
+        for (const item of cartItems) {
+            const product = item.product_id;
+
+            // Variants can be added to a product after it was put in the cart
+            if (!item.variant && product._count.variants > 0) {
+                throw new OrderError(`Please choose a variant of ${product.name}`, 409);
+            }
+
+            const stocked = item.variant || product;
+            if (exceedsStock(stocked, item.count) || !(await decrementStock(tx, item))) {
+                throw new OrderError(`Only ${stocked.stock} of ${product.name} left in stock`, 409);
+            }
+        }
+
+        // The order keeps the discount in effect at checkout, whether it came from a sale or the product
+        const sales = await getActiveSales(tx);
+        cartItems.forEach((item) => {
+            item.product_id = applySales(item.product_id, sales);
+        });
+
+        const summary = summarizeCart(cartItems);
+        const coupon = await getCartCoupon(tx, { userId });
+
+        if (coupon) {
+            const couponError = await checkCoupon(tx, coupon, summary, userId);
+            if (couponError) {
+                throw new OrderError(`${couponError}. Remove the coupon to check out without it`, 409);
+            }
+        }
+
+        const cart = await taxCart(tx, shippingAddress, applyCoupon(summary, coupon));
+        const { methods } = await quoteShipping(tx, shippingAddress, cart);
+
+        if (methods.length === 0) {
+            throw new OrderError('No shipping method is available for this address', 409);
+        }
+
+        const shipping = shippingMethodId === undefined || shippingMethodId === null
+            ? methods[0]
+            : methods.find((method) => method.id === Number(shippingMethodId));
+
+        if (!shipping) {
+            throw new OrderError('The chosen shipping method is not available for this address and cart', 409);
+        }
+
+        const order = await tx.order.create({
+            data: {
+                userId,
+                shippingAddress: snapshotAddress(shippingAddress),
+                note: note || null,
+                itemCount: cart.itemCount,
+                subtotal: cart.subtotal,
+                discountTotal: cart.discountTotal,
+                shippingMethodId: shipping.id,
+                shippingMethodName: shipping.name,
+                shippingCost: shipping.cost,
+                pricesIncludeTax: cart.pricesIncludeTax,
+                taxTotal: cart.taxTotal,
+                taxLines: cart.taxLines,
+                couponId: coupon ? coupon.id : null,
+                couponCode: coupon ? coupon.code : null,
+                couponDiscount: cart.couponDiscount,
+                total: sumMoney([cart.total, shipping.cost]),
+                currency: currency.code,
+                exchangeRate: currency.rate,
+                items: {
+                    create: cart.items.map((item) => ({
+                        productId: item.productId,
+                        variantId: item.variantId,
+                        productName: item.product.name,
+                        sku: item.variant ? item.variant.sku : null,
+                        color: item.variant ? item.variant.color : null,
+                        size: item.variant ? item.variant.size : null,
+                        unitPrice: item.unitPrice,
+                        discount: item.product.discount || 0,
+                        discountedUnitPrice: item.discountedUnitPrice,
+                        count: item.count,
+                        lineTotal: item.lineTotal,
+                        taxRate: item.taxRate,
+                        taxAmount: item.taxAmount,
+                        couponDiscount: item.couponDiscount,
+                    })),
+                },
+                history: {
+                    create: { toStatus: 'PENDING', changedById: userId },
+                },
+            },
+            include: { items: true, history: true },
+        });
+
+        const redeemError = coupon ? await redeemCoupon(tx, coupon, { userId, orderId: order.id }) : null;
+        if (redeemError) {
+            throw new OrderError(`${redeemError}. Remove the coupon to check out without it`, 409);
+        }
+
+        await tx.cart.deleteMany({ where: { userId } });
+        if (coupon) {
+            await tx.user.update({ where: { id: userId }, data: { cartCouponId: null } });
+        }
+
+        return order;
+    });
+
+module.exports = {
+    ORDER_STATUSES,
+    OrderError,
+    snapshotAddress,
+    placeOrder
+};
@@ -0,0 +1,147 @@
+const prisma = require('./prismaClient');
+const { getPaymentProvider } = require('../payments');
+const { subtractMoney } = require('./money');
+const { OrderError } = require('./orders');
+const { OPEN_PAYMENT_STATUSES, applyTransition } = require('./orderStatus');
+
+// Marks a payment as succeeded and, if the order is still waiting for it, moves the order to PAID.
+// The update is guarded on the payment being in one of `from`, so each payment is settled once. The
+// webhook also settles CAPTURING payments, which recovers a capture whose final step never ran.
+// An order is not cancelled while it has an open payment, so an order that is no longer PENDING
+// was paid by another payment of the same order; this one is then a duplicate the caller refunds.
+// Returns 'paid', 'duplicate', or null when the payment was not open
+const markPaymentSucceeded = async (tx, payment, { from = OPEN_PAYMENT_STATUSES, changedById = null } = {}) => {
+    const { count } = await tx.payment.updateMany({
+        where: { id: payment.id, status: { in: from } },
+        data: { status: 'SUCCEEDED', failureReason: null },
+    });
+
+    if (count === 0) {
+        return null;
+    }
+
+    const order = await tx.order.findUnique({ where: { id: payment.orderId } });
+
+    if (order.status !== 'PENDING') {
+        return 'duplicate';
+    }
+
+    await applyTransition(tx, order.id, 'PAID', {
+        changedById,
+        note: `Payment ${payment.providerRef} via ${payment.provider}`,
+    });
+
+    return 'paid';
+};
+
+// Reserves `amount` of a SUCCEEDED payment for a refund before the provider is called. The increment
+// is guarded, so concurrent refunds (of the order, of returns) can not together refund more than was
+// paid. `client` is prisma or a transaction
+const reserveRefund = async (client, payment, amount) => {
+    const { count } = await client.payment.updateMany({
+        where: { id: payment.id, status: 'SUCCEEDED', refundedAmount: { lte: subtractMoney(payment.amount, amount) } },
+        data: { refundedAmount: { increment: amount } },
+    });
+
+    if (count === 0) {
+        throw new OrderError('The payment was refunded by another request, please retry', 409);
+    }
+};
+
+// Gives a reservation back when the provider refused the refund
+const releaseRefund = (payment, amount) =>
+    prisma.payment.update({ where: { id: payment.id }, data: { refundedAmount: { decrement: amount } } });
+
+// Refunds a payment that succeeded on an order another payment had already paid. Runs after the
+// webhook has been answered and never throws; a failure is logged for an admin to follow up
+const refundDuplicatePayment = async (paymentId) => {
+    try {
+        const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+        const amount = subtractMoney(payment.amount, payment.refundedAmount);
+
+        await reserveRefund(prisma, payment, amount);
+
+        let refund;
+        try {
+            refund = await getPaymentProvider(payment.provider).refund(payment.providerRef, amount);
+        } catch (error) {
+            await releaseRefund(payment, amount);
+            throw error;
+        }
+
+        await prisma.payment.update({ where: { id: payment.id }, data: { status: 'REFUNDED', refundRef: refund.refundRef } });
+    } catch (error) {
+        console.error(`Failed to refund duplicate payment ${paymentId}:`, error);
+    }
+};
+
+// Returns what markPaymentSucceeded returned for payment.succeeded, otherwise null
+const applyPaymentEvent = async (tx, payment, event) => {
+    switch (event.type) {
+        case 'payment.authorized':
+            if (payment.status === 'PENDING') {
+                await tx.payment.update({ where: { id: payment.id }, data: { status: 'AUTHORIZED' } });
+            }
+            break;
+        case 'payment.succeeded':
+            return markPaymentSucceeded(tx, payment);
+        case 'payment.failed':
+            if (payment.status === 'PENDING' || payment.status === 'AUTHORIZED') {
+                await tx.payment.update({
+                    where: { id: payment.id },
+                    data: { status: 'FAILED', failureReason: event.reason || null },
+                });
+            }
+            break;
+        default:
+            break;
+    }
+
+    return null;
+};
+
+// Applies a verified webhook event exactly once. The event id is recorded in the same transaction
+// as its effects, so a redelivered event hits the unique index and is reported as a duplicate.
+// Returns { result, paidOrderId, duplicatePaymentId }: result is 'processed', 'duplicate' or 'ignored'
+// (no payment with that providerRef), paidOrderId is set when the event moved an order to PAID, and
+// duplicatePaymentId when the payment succeeded on an order that was already paid and has to be refunded
+const handlePaymentEvent = async (provider, event, payload) => {
+    try {
+        return await prisma.$transaction(async (tx) => {
+            await tx.paymentEvent.create({
+                data: { provider, eventId: String(event.id), type: String(event.type), payload },
+            });
+
+            const payment = event.providerRef
+                ? await tx.payment.findUnique({
+                    where: { provider_providerRef: { provider, providerRef: event.providerRef } },
+                })
+                : null;
+
+            if (!payment) {
+                return { result: 'ignored' };
+            }
+
+            const outcome = await applyPaymentEvent(tx, payment, event);
+
+            return {
+                result: 'processed',
+                paidOrderId: outcome === 'paid' ? payment.orderId : undefined,
+                duplicatePaymentId: outcome === 'duplicate' ? payment.id : undefined,
+            };
+        });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return { result: 'duplicate' };
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    markPaymentSucceeded,
+    reserveRefund,
+    releaseRefund,
+    refundDuplicatePayment,
+    handlePaymentEvent
+};
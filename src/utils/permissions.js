@@ -0,0 +1,32 @@
+// Permission names checked by the role middleware
+const PERMISSIONS = {
+    PRODUCT_WRITE: 'product:write',
+    CATEGORY_WRITE: 'category:write',
+    BRAND_WRITE: 'brand:write',
+    IMAGE_DELETE: 'image:delete',
+    USER_MANAGE: 'user:manage',
+    ORDER_MANAGE: 'order:manage',
+    SHIPPING_MANAGE: 'shipping:manage',
+    TAX_MANAGE: 'tax:manage',
+    COUPON_MANAGE: 'coupon:manage',
+    SALE_MANAGE: 'sale:manage',
+    CURRENCY_MANAGE: 'currency:manage',
+    REVIEW_MANAGE: 'review:manage',
+};
+
+// Which permissions each eUser role is granted
+const ROLE_PERMISSIONS = {
+    ADMIN: Object.values(PERMISSIONS),
+    USER: [],
+};
+
+const hasPermission = (role, permission) => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes(permission);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    hasPermission
+};
@@ -1,3 +1,26 @@
 const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+
+// Money columns are Decimal(12,2), and pricePerKg Decimal(12,4), so the database keeps them exact.
+// They are read back as plain numbers, which hold that many decimals without loss; arithmetic on
+// them goes through utils/money
+const MONEY_FIELDS = {
+    product: ['price'],
+    productVariant: ['price'],
+    shippingMethod: ['price', 'pricePerKg', 'freeOver'],
+    coupon: ['value', 'minCartValue'],
+    order: ['subtotal', 'discountTotal', 'total', 'shippingCost', 'taxTotal', 'couponDiscount'],
+    orderItem: ['unitPrice', 'discountedUnitPrice', 'lineTotal', 'taxAmount', 'couponDiscount'],
+    payment: ['amount', 'refundedAmount'],
+    returnRequest: ['refundAmount'],
+};
+
+const moneyAsNumbers = Object.fromEntries(Object.entries(MONEY_FIELDS).map(([model, fields]) => [
+    model,
+    Object.fromEntries(fields.map((field) => [field, {
+        needs: { [field]: true },
+        compute: (row) => (row[field] === null ? null : Number(row[field])),
+    }])),
+]));
+
+const prisma = new PrismaClient().$extends({ result: moneyAsNumbers });
 module.exports = prisma;
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const prisma = require('./prismaClient');
+const { multiplyMoney, roundMoney, subtractMoney, sumMoney } = require('./money');
+const { OrderError } = require('./orders');
+const { applyTransition, restockItems } = require('./orderStatus');
+const { getPaymentProvider } = require('../payments');
+const { reserveRefund } = require('./payments');
+
+dotenv.config();
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+const RETURN_REASONS = ['DAMAGED', 'DEFECTIVE', 'WRONG_ITEM', 'NOT_AS_DESCRIBED', 'SIZE_OR_FIT', 'CHANGED_MIND', 'OTHER'];
+
+const RETURN_INCLUDE = {
+    items: { include: { orderItem: true }, orderBy: { id: 'asc' } },
+    order: { select: { pricesIncludeTax: true } },
+};
+
+// Units of each order item that are not already part of a return, keyed by order item id.
+// Rejected returns give their units back
+const getReturnableCounts = async (tx, order) => {
+    const returned = await tx.returnItem.groupBy({
+        by: ['orderItemId'],
+        where: { returnRequest: { orderId: order.id, status: { not: 'REJECTED' } } },
+        _sum: { count: true },
+    });
+
+    const counts = {};
+    order.items.forEach((item) => {
+        counts[item.id] = item.count;
+    });
+    returned.forEach((row) => {
+        counts[row.orderItemId] -= row._sum.count || 0;
+    });
+
+    return counts;
+};
+
+// What the customer paid for the returned units, from the prices copied onto the order at checkout:
+// their share of the line total less the line's coupon discount. Tax that was added on top of the
+// prices is refunded with them
+const computeRefundAmount = (returnRequest) =>
+    sumMoney(returnRequest.items.map((item) => {
+        const { orderItem } = item;
+        const paid = subtractMoney(
+            sumMoney([orderItem.lineTotal, returnRequest.order.pricesIncludeTax ? 0 : orderItem.taxAmount]),
+            orderItem.couponDiscount
+        );
+        return multiplyMoney(paid, item.count / orderItem.count);
+    }));
+
+// Adds what the returned units are worth, for display before the refund is issued
+const withEstimatedRefund = (returnRequest) => ({
+    ...returnRequest,
+    estimatedRefund: computeRefundAmount(returnRequest),
+});
+
+// The return window runs from the moment the order was marked DELIVERED
+const isWithinReturnWindow = async (tx, orderId) => {
+    const delivered = await tx.orderStatusHistory.findFirst({
+        where: { orderId, toStatus: 'DELIVERED' },
+        orderBy: { id: 'desc' },
+    });
+
+    if (!delivered) {
+        return false;
+    }
+
+    return Date.now() - delivered.createdAt.getTime() <= RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+};
+
+// Opens a return for items of a delivered order. `items` is [{ orderItemId, count, reason }],
+// already validated for shape. Throws an OrderError when the order or counts do not allow it
+const createReturnRequest = (userId, orderId, { items, comment }) =>
+    prisma.$transaction(async (tx) => {
+        const order = await tx.order.findFirst({ where: { id: orderId, userId }, include: { items: true } });
+
+        if (!order) {
+            throw new OrderError('Order not found', 404);
+        }
+
+        if (order.status !== 'DELIVERED') {
+            throw new OrderError('Only delivered orders can be returned', 409);
+        }
+
+        if (!(await isWithinReturnWindow(tx, order.id))) {
+            throw new OrderError(`Returns are only accepted within ${RETURN_WINDOW_DAYS} days of delivery`, 409);
+        }
+
+        const returnable = await getReturnableCounts(tx, order);
+
+        for (const item of items) {
+            if (returnable[item.orderItemId] === undefined) {
+                throw new OrderError(`Order item ${item.orderItemId} is not part of this order`);
+            }
+            if (item.count > returnable[item.orderItemId]) {
+                throw new OrderError(`Only ${returnable[item.orderItemId]} of order item ${item.orderItemId} can be returned`, 409);
+            }
+            // Listing the same item twice is counted against the same remaining units
+            returnable[item.orderItemId] -= item.count;
+        }
+
+        return tx.returnRequest.create({
+            data: {
+                orderId: order.id,
+                userId,
+                comment: comment || null,
+                items: { create: items.map(({ orderItemId, count, reason }) => ({ orderItemId, count, reason })) },
+            },
+            include: RETURN_INCLUDE,
+        });
+    });
+
+// Moves a return from one of `from` to `to`, guarded on the current status. `data` is merged into the update
+const updateReturnStatus = async (tx, returnId, from, to, data = {}) => {
+    const returnRequest = Number.isInteger(returnId)
+        ? await tx.returnRequest.findUnique({ where: { id: returnId }, include: RETURN_INCLUDE })
+        : null;
+
+    if (!returnRequest) {
+        throw new OrderError('Return not found', 404);
+    }
+
+    const { count } = await tx.returnRequest.updateMany({
+        where: { id: returnId, status: { in: from } },
+        data: { ...data, status: to },
+    });
+
+    if (count === 0) {
+        throw new OrderError(`Return can not move from ${returnRequest.status} to ${to}`, 409);
+    }
+
+    return returnRequest;
+};
+
+const decideReturn = (returnId, approve, adminNote) =>
+    prisma.$transaction(async (tx) => {
+        await updateReturnStatus(tx, returnId, ['REQUESTED'], approve ? 'APPROVED' : 'REJECTED', {
+            adminNote: adminNote || null,
+            decidedAt: new Date(),
+        });
+
+        return tx.returnRequest.findUnique({ where: { id: returnId }, include: RETURN_INCLUDE });
+    });
+
+// Records that the parcel arrived. The units go back into stock unless `restock` is false (e.g. damaged goods)
+const receiveReturn = (returnId, { restock = true, adminNote } = {}) =>
+    prisma.$transaction(async (tx) => {
+        const returnRequest = await updateReturnStatus(tx, returnId, ['APPROVED'], 'RECEIVED', {
+            receivedAt: new Date(),
+            ...(adminNote ? { adminNote } : {}),
+        });
+
+        if (restock) {
+            await restockItems(tx, returnRequest.items.map((item) => ({
+                productId: item.orderItem.productId,
+                variantId: item.orderItem.variantId,
+                count: item.count,
+            })));
+        }
+
+        return tx.returnRequest.findUnique({ where: { id: returnId }, include: RETURN_INCLUDE });
+    });
+
+// Claims a RECEIVED return as REFUNDING and reserves its refund on the payment, in one transaction.
+// Returns { payment, refundAmount, refundKey }
+const claimReturnRefund = (returnId, amount) =>
+    prisma.$transaction(async (tx) => {
+        const returnRequest = await updateReturnStatus(tx, returnId, ['RECEIVED'], 'REFUNDING');
+
+        const succeeded = await tx.payment.findFirst({
+            where: { orderId: returnRequest.orderId, status: 'SUCCEEDED' },
+            orderBy: { id: 'desc' },
+        });
+
+        if (!succeeded) {
+            throw new OrderError('Order has no successful payment to refund', 409);
+        }
+
+        const maxAmount = Math.min(computeRefundAmount(returnRequest), subtractMoney(succeeded.amount, succeeded.refundedAmount));
+        const claimed = amount === undefined ? maxAmount : roundMoney(amount);
+
+        if (!(claimed > 0) || claimed > maxAmount) {
+            throw new OrderError(`Refund amount must be more than 0 and at most ${maxAmount}`);
+        }
+
+        // Guarded so that refunds committed since the read above can not take the total past the amount paid
+        await reserveRefund(tx, succeeded, claimed);
+
+        const refundKey = `return-${returnId}-${crypto.randomUUID()}`;
+        await tx.returnRequest.update({
+            where: { id: returnId },
+            data: { refundAmount: claimed, refundPaymentId: succeeded.id, refundKey },
+        });
+
+        return { payment: succeeded, refundAmount: claimed, refundKey };
+    });
+
+// The claim of a return left REFUNDING by a request that never finished, to send it to the provider again
+const resumeReturnRefund = async (returnRequest) => {
+    if (!returnRequest.refundPaymentId || !returnRequest.refundKey) {
+        throw new OrderError('Return is already being refunded', 409);
+    }
+
+    const payment = await prisma.payment.findUnique({ where: { id: returnRequest.refundPaymentId } });
+
+    return { payment, refundAmount: returnRequest.refundAmount, refundKey: returnRequest.refundKey };
+};
+
+// Refunds a received return through the order's payment provider. `amount` defaults to the full value
+// of the returned units and can be lowered for a partial refund. Once every unit of the order has
+// been refunded, the order itself moves to REFUNDED.
+// The return is first claimed as REFUNDING and the amount reserved on the payment, so concurrent
+// refunds of the same return or order can neither both reach the provider nor push refundedAmount
+// past what was paid. A provider failure releases the claim again.
+// The provider is called with an idempotency key stored with the claim. Refunding a return that is
+// still REFUNDING, because the process died before the refund was recorded, sends the same claim
+// again: the provider answers with the refund it already made, or makes it now, never both
+const refundReturn = async (returnId, { amount, changedById = null } = {}) => {
+    const current = Number.isInteger(returnId) ? await prisma.returnRequest.findUnique({ where: { id: returnId } }) : null;
+
+    const { payment, refundAmount, refundKey } = current && current.status === 'REFUNDING'
+        ? await resumeReturnRefund(current)
+        : await claimReturnRefund(returnId, amount);
+
+    let refund;
+    try {
+        refund = await getPaymentProvider(payment.provider).refund(payment.providerRef, refundAmount, refundKey);
+    } catch (error) {
+        // Guarded on the claim, so a claim sent twice is only released once
+        await prisma.$transaction(async (tx) => {
+            const { count } = await tx.returnRequest.updateMany({
+                where: { id: returnId, status: 'REFUNDING', refundKey },
+                data: { status: 'RECEIVED', refundAmount: null, refundPaymentId: null, refundKey: null },
+            });
+
+            if (count === 1) {
+                await tx.payment.update({ where: { id: payment.id }, data: { refundedAmount: { decrement: refundAmount } } });
+            }
+        });
+        throw error;
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const returnRequest = await updateReturnStatus(tx, returnId, ['REFUNDING'], 'REFUNDED', {
+            refundRef: refund.refundRef,
+            refundedAt: new Date(),
+        });
+
+        const refunded = await tx.payment.update({ where: { id: payment.id }, data: { refundRef: refund.refundRef } });
+        if (refunded.refundedAmount >= refunded.amount) {
+            await tx.payment.update({ where: { id: payment.id }, data: { status: 'REFUNDED' } });
+        }
+
+        const order = await tx.order.findUnique({ where: { id: returnRequest.orderId }, include: { items: true } });
+        const refundedUnits = await tx.returnItem.aggregate({
+            where: { returnRequest: { orderId: order.id, status: 'REFUNDED' } },
+            _sum: { count: true },
+        });
+
+        if ((refundedUnits._sum.count || 0) >= order.itemCount && order.status === 'DELIVERED') {
+            await applyTransition(tx, order.id, 'REFUNDED', { changedById, note: `All items returned (return ${returnId})` });
+        }
+
+        return tx.returnRequest.findUnique({ where: { id: returnId }, include: RETURN_INCLUDE });
+    });
+};
+
+module.exports = {
+    RETURN_WINDOW_DAYS,
+    RETURN_REASONS,
+    RETURN_INCLUDE,
+    computeRefundAmount,
+    withEstimatedRefund,
+    createReturnRequest,
+    decideReturn,
+    receiveReturn,
+    refundReturn
+};
@@ -0,0 +1,47 @@
+const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+// What anyone can see of an approved review: the reviewer's name, not their account
+const PUBLIC_REVIEW_SELECT = {
+    id: true,
+    rating: true,
+    title: true,
+    body: true,
+    images: true,
+    createdAt: true,
+    updatedAt: true,
+    user: { select: { name: true, user_img: true } },
+};
+
+// Recomputes Product.averageRating and reviewCount from the product's APPROVED reviews. Called after
+// every change to a review's rating or status. `client` is prisma or a transaction
+const refreshProductRating = async (client, productId) => {
+    const { _avg, _count } = await client.review.aggregate({
+        where: { productId, status: 'APPROVED' },
+        _avg: { rating: true },
+        _count: { _all: true },
+    });
+
+    return client.product.update({
+        where: { id: productId },
+        data: {
+            averageRating: _avg.rating === null ? 0 : Math.round(_avg.rating * 100) / 100,
+            reviewCount: _count._all,
+        },
+    });
+};
+
+// Whether the user received the product in one of their orders
+const isVerifiedPurchaser = async (client, userId, productId) => {
+    const item = await client.orderItem.findFirst({
+        where: { productId, order: { userId, status: 'DELIVERED' } },
+        select: { id: true },
+    });
+    return Boolean(item);
+};
+
+module.exports = {
+    REVIEW_STATUSES,
+    PUBLIC_REVIEW_SELECT,
+    refreshProductRating,
+    isVerifiedPurchaser
+};
@@ -0,0 +1,42 @@
+// Sales whose window contains `at`. `client` is prisma or a transaction
+const getActiveSales = (client, at = new Date()) =>
+    client.sale.findMany({
+        where: { active: true, startsAt: { lte: at }, endsAt: { gt: at } },
+        orderBy: { id: 'asc' },
+    });
+
+// Without any product, category or brand ids a sale covers every product
+const saleCovers = (sale, product) => {
+    const targeted = sale.productIds.length + sale.categoryIds.length + sale.brandIds.length > 0;
+
+    return !targeted
+        || sale.productIds.includes(product.id)
+        || sale.categoryIds.includes(product.categoryId)
+        || sale.brandIds.includes(product.brandsId);
+};
+
+// The discount a product sells at right now: the best of its own Product.discount and the running
+// sales that cover it. Discounts do not stack. Returns { discount, sale }, sale being null when the
+// product's own discount is at least as good
+const effectiveDiscount = (product, sales) => {
+    let best = { discount: product.discount || 0, sale: null };
+
+    sales.forEach((sale) => {
+        if (sale.discount > best.discount && saleCovers(sale, product)) {
+            best = { discount: sale.discount, sale };
+        }
+    });
+
+    return best;
+};
+
+// Returns the product with `discount` replaced by its effective discount, so price calculations
+// that read Product.discount (cart, checkout) pick up running sales
+const applySales = (product, sales) => ({ ...product, discount: effectiveDiscount(product, sales).discount });
+
+module.exports = {
+    getActiveSales,
+    saleCovers,
+    effectiveDiscount,
+    applySales
+};
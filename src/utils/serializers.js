@@ -0,0 +1,24 @@
+// Fields that must never be sent to clients
+const PRIVATE_USER_FIELDS = [
+    'password',
+    'verificationSentAt',
+    'failedLoginAttempts',
+    'lastFailedLoginAt',
+    'twoFactorSecret',
+    'twoFactorLastUsedStep',
+];
+
+const serializeUser = (user) => {
+    if (!user) {
+        return user;
+    }
+
+    const safeUser = { ...user };
+    PRIVATE_USER_FIELDS.forEach((field) => delete safeUser[field]);
+
+    return safeUser;
+};
+
+module.exports = {
+    serializeUser
+};
@@ -0,0 +1,103 @@
+const { multiplyRate, roundMoney, sumMoney } = require('./money');
+
+const SHIPPING_RATE_TYPES = ['FLAT', 'WEIGHT', 'FREE_OVER'];
+
+// Offered while no shipping zone has been set up at all, so checkout keeps working on stores that
+// have not configured shipping yet. Orders placed with it have no shippingMethodId
+const UNCONFIGURED_SHIPPING_METHOD = { id: null, name: 'Free shipping', type: 'FLAT', estimatedDays: null, cost: 0 };
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+// Picks the zone that ships to an address: a zone listing the address's region wins over one that
+// only lists its country, and a zone without countries is the fallback for everything else.
+// `client` is prisma or a transaction, so checkout can quote inside its own transaction
+const findShippingZone = async (client, address) => {
+    const country = normalize(address.country);
+    const region = normalize(address.region);
+
+    const zones = await client.shippingZone.findMany({
+        include: { methods: { where: { active: true }, orderBy: { id: 'asc' } } },
+        orderBy: { id: 'asc' },
+    });
+
+    const coversCountry = (zone) => zone.countries.some((code) => normalize(code) === country);
+    const coversRegion = (zone) => zone.regions.length > 0 && zone.regions.some((name) => normalize(name) === region);
+
+    return zones.find((zone) => coversCountry(zone) && coversRegion(zone))
+        || zones.find((zone) => coversCountry(zone) && zone.regions.length === 0)
+        || zones.find((zone) => zone.countries.length === 0)
+        || null;
+};
+
+// Parses an optional weight (kg) or dimension (cm); undefined leaves it unchanged and null clears it.
+// Returns { value } or { error }
+const parseMeasurement = (value, field) => {
+    if (value === undefined || value === null) {
+        return { value };
+    }
+
+    const number = typeof value === 'string' && !value.trim() ? NaN : Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        return { error: `${field} must be a non-negative number` };
+    }
+    return { value: number };
+};
+
+// Total weight in kg of summarized cart lines; products without a weight count as weightless
+const cartWeight = (items) =>
+    Math.round(items.reduce((sum, item) => sum + (item.product.weight || 0) * item.count, 0) * 1000) / 1000;
+
+// Returns what a method charges for a cart, or null when the cart is too heavy for it
+const calculateShippingCost = (method, { subtotal, weight }) => {
+    if (method.maxWeight !== null && method.maxWeight !== undefined && weight > method.maxWeight) {
+        return null;
+    }
+
+    switch (method.type) {
+        case 'WEIGHT':
+            return sumMoney([method.price, multiplyRate(method.pricePerKg, weight)]);
+        case 'FREE_OVER':
+            return method.freeOver !== null && subtotal >= method.freeOver ? 0 : roundMoney(method.price);
+        case 'FLAT':
+        default:
+            return roundMoney(method.price);
+    }
+};
+
+// Prices a summarized cart for an address. Returns { zone, weight, methods } with the methods that
+// can take the cart, cheapest first; zone is null when nothing ships to the address.
+// Every method is free when the cart has a free shipping coupon. Without any zones configured the
+// only method is UNCONFIGURED_SHIPPING_METHOD
+const quoteShipping = async (client, address, cart) => {
+    const zone = await findShippingZone(client, address);
+    const weight = cartWeight(cart.items);
+
+    if (!zone) {
+        const configured = (await client.shippingZone.count()) > 0;
+        return { zone: null, weight, methods: configured ? [] : [UNCONFIGURED_SHIPPING_METHOD] };
+    }
+
+    const methods = zone.methods
+        .map((method) => ({
+            id: method.id,
+            name: method.name,
+            type: method.type,
+            estimatedDays: method.estimatedDays,
+            cost: calculateShippingCost(method, { subtotal: cart.subtotal, weight }),
+        }))
+        .filter((method) => method.cost !== null)
+        .map((method) => (cart.freeShipping ? { ...method, cost: 0 } : method))
+        .sort((a, b) => a.cost - b.cost);
+
+    return { zone: { id: zone.id, name: zone.name }, weight, methods };
+};
+
+module.exports = {
+    SHIPPING_RATE_TYPES,
+    UNCONFIGURED_SHIPPING_METHOD,
+    findShippingZone,
+    parseMeasurement,
+    cartWeight,
+    calculateShippingCost,
+    quoteShipping
+};
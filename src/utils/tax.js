@@ -0,0 +1,98 @@
+const dotenv = require('dotenv');
+const { multiplyMoney, percentOf, subtractMoney, sumMoney } = require('./money');
+
+dotenv.config();
+
+// 'exclusive': Product.price is net and tax is added on top of the cart subtotal.
+// 'inclusive': Product.price already contains the tax, which is only broken out of the totals
+const TAX_PRICE_MODES = ['exclusive', 'inclusive'];
+const TAX_PRICE_MODE = TAX_PRICE_MODES.includes(process.env.TAX_PRICE_MODE) ? process.env.TAX_PRICE_MODE : 'exclusive';
+const PRICES_INCLUDE_TAX = TAX_PRICE_MODE === 'inclusive';
+
+// Country whose rates estimate the tax of a cart before the customer has given an address
+const TAX_DEFAULT_COUNTRY = (process.env.TAX_DEFAULT_COUNTRY || '').trim().toUpperCase() || null;
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+// A product's own tax class wins over its category's; null means the standard rates
+const taxClassOf = (product) => {
+    if (product.taxClassId) {
+        return product.taxClassId;
+    }
+    return (product.category && product.category.taxClassId) || null;
+};
+
+// Reads a taxClassId from a category or product body; undefined leaves it as it is and null clears it
+const parseTaxClassId = (value) => (value === undefined || value === null ? value : parseInt(value, 10));
+
+// Loads every rate of the address's country. `client` is prisma or a transaction
+const findTaxRates = (client, address) => {
+    if (!address || !address.country) {
+        return Promise.resolve([]);
+    }
+
+    return client.taxRate.findMany({ where: { country: normalize(address.country) }, orderBy: { id: 'asc' } });
+};
+
+// The rate of a tax class for a region: the region's own rate if there is one, else the country rate
+const pickTaxRate = (rates, region, taxClassId) => {
+    const candidates = rates.filter((rate) => rate.taxClassId === taxClassId);
+
+    return candidates.find((rate) => rate.region && normalize(rate.region) === normalize(region))
+        || candidates.find((rate) => !rate.region)
+        || null;
+};
+
+// Tax contained in (inclusive) or owed on top of (exclusive) an amount
+const taxOn = (amount, rate) =>
+    PRICES_INCLUDE_TAX ? subtractMoney(amount, multiplyMoney(amount, 100 / (100 + rate))) : percentOf(amount, rate);
+
+// Adds taxRate and taxAmount to each line of a summarized cart, plus the per-rate breakdown and the
+// total to pay for the items. Lines are taxed after their share of any coupon discount.
+// Products must be loaded with taxClassId and category.taxClassId
+const applyTax = (cart, rates, address) => {
+    const lines = new Map();
+
+    const items = cart.items.map((item) => {
+        const rate = pickTaxRate(rates, address && address.region, taxClassOf(item.product));
+
+        if (!rate) {
+            return { ...item, taxRate: 0, taxAmount: 0 };
+        }
+
+        const taxAmount = taxOn(subtractMoney(item.lineTotal, item.couponDiscount), rate.rate);
+        const key = `${rate.name}|${rate.rate}`;
+        const line = lines.get(key) || { name: rate.name, rate: rate.rate, amount: 0 };
+
+        line.amount = sumMoney([line.amount, taxAmount]);
+        lines.set(key, line);
+
+        return { ...item, taxRate: rate.rate, taxAmount };
+    });
+
+    const taxTotal = sumMoney(items.map((item) => item.taxAmount));
+    const net = subtractMoney(cart.subtotal, cart.couponDiscount);
+
+    return {
+        ...cart,
+        items,
+        pricesIncludeTax: PRICES_INCLUDE_TAX,
+        taxLines: [...lines.values()],
+        taxTotal,
+        total: PRICES_INCLUDE_TAX ? net : sumMoney([net, taxTotal]),
+    };
+};
+
+// Taxes a summarized cart for an address ({ country, region }); no address means no tax
+const taxCart = async (client, address, cart) => applyTax(cart, await findTaxRates(client, address), address);
+
+module.exports = {
+    TAX_PRICE_MODE,
+    PRICES_INCLUDE_TAX,
+    TAX_DEFAULT_COUNTRY,
+    taxClassOf,
+    parseTaxClassId,
+    pickTaxRate,
+    applyTax,
+    taxCart
+};
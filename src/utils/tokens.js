@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+const prisma = require('./prismaClient');
+
+dotenv.config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateOpaqueToken = (bytes = 48) => crypto.randomBytes(bytes).toString('hex');
+
+const signAccessToken = (userId, sessionId) =>
+    jwt.sign({ userid: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Single-purpose JWTs for emailed links; `purpose` stops one kind of link being replayed as another
+const signPurposeToken = (purpose, payload, expiresIn) =>
+    jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+
+const verifyPurposeToken = (purpose, token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.purpose !== purpose) {
+        throw new Error(`Token is not a ${purpose} token`);
+    }
+
+    return decoded;
+};
+
+// Verification links are stateless: the JWT is bound to the address it was sent to,
+// so changing the email invalidates links sent for the old one
+const signEmailVerificationToken = (user) =>
+    signPurposeToken('verify-email', { userid: user.id, email: user.email }, '24h');
+
+const verifyEmailVerificationToken = (token) => verifyPurposeToken('verify-email', token);
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Opens a new server-side session and returns the token pair for it
+const issueTokens = async (userId) => {
+    const refreshToken = generateOpaqueToken();
+
+    const session = await prisma.session.create({
+        data: {
+            userId,
+            tokenHash: hashToken(refreshToken),
+            expiresAt: refreshExpiry(),
+        },
+    });
+
+    return {
+        token: signAccessToken(userId, session.id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+    };
+};
+
+// Swaps a refresh token for a new pair. Each refresh token is single-use: the old session is revoked
+// and replaced, so presenting an already rotated token is treated as theft and revokes every session.
+// Returns null when the token is unknown, expired or revoked.
+const rotateRefreshToken = async (refreshToken) => {
+    const session = await prisma.session.findUnique({ where: { tokenHash: hashToken(refreshToken) } });
+
+    if (!session) {
+        return null;
+    }
+
+    if (session.revokedAt) {
+        await revokeAllSessions(session.userId);
+        return null;
+    }
+
+    if (session.expiresAt < new Date()) {
+        return null;
+    }
+
+    // Guarded on revokedAt so two concurrent refreshes cannot both succeed
+    const { count } = await prisma.session.updateMany({
+        where: { id: session.id, revokedAt: null },
+        data: { revokedAt: new Date(), lastUsedAt: new Date() },
+    });
+
+    if (count === 0) {
+        await revokeAllSessions(session.userId);
+        return null;
+    }
+
+    const tokens = await issueTokens(session.userId);
+
+    return { userId: session.userId, ...tokens };
+};
+
+const revokeSession = (sessionId) =>
+    prisma.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date() },
+    });
+
+const revokeAllSessions = (userId) =>
+    prisma.session.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date() },
+    });
+
+// Used after a password change to log out every device except the one making the change
+const revokeOtherSessions = (userId, keepSessionId) =>
+    prisma.session.updateMany({
+        where: { userId, revokedAt: null, id: { not: keepSessionId } },
+        data: { revokedAt: new Date() },
+    });
+
+module.exports = {
+    hashToken,
+    generateOpaqueToken,
+    issueTokens,
+    signPurposeToken,
+    verifyPurposeToken,
+    signEmailVerificationToken,
+    verifyEmailVerificationToken,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    revokeOtherSessions
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// RFC 6238 TOTP as used by Google Authenticator and similar apps: SHA-1, 6 digits, 30 second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept one step of clock drift either way
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return String(code).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Returns the matched time step, or null. Callers store the step and pass it back as
+// lastUsedStep so the same code can not be replayed within its validity window
+const verifyTotp = (secret, code, lastUsedStep = null, now = Date.now()) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const step = currentStep(now);
+    for (let drift = -WINDOW; drift <= WINDOW; drift++) {
+        const candidate = step + drift;
+        if (lastUsedStep !== null && candidate <= lastUsedStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(hotp(secret, candidate)), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+
+    return null;
+};
+
+const provisioningUri = (secret, accountName) => {
+    const issuer = process.env.TOTP_ISSUER || 'eCommerce';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+// Secrets are stored encrypted (AES-256-GCM) so a database leak alone does not expose them
+const encryptionKey = () =>
+    crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "a1b2c-3d4e5"
+const generateRecoveryCodes = (count = 10) =>
+    Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    verifyTotp,
+    provisioningUri,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
@@ -0,0 +1,68 @@
+const prisma = require('./prismaClient');
+const { hashToken } = require('./tokens');
+const { verifyTotp, decryptSecret, generateRecoveryCodes, normalizeRecoveryCode } = require('./totp');
+
+// Replaces all recovery codes of the user and returns the new plain codes (shown to the user once)
+const replaceRecoveryCodes = async (tx, userId) => {
+    const codes = generateRecoveryCodes();
+
+    await tx.recoveryCode.deleteMany({ where: { userId } });
+    await tx.recoveryCode.createMany({
+        data: codes.map((code) => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) })),
+    });
+
+    return codes;
+};
+
+// Checks an authenticator code against the user's pending or active secret, recording the
+// used time step so the code can not be replayed
+const verifyUserTotp = async (user, code) => {
+    if (!user.twoFactorSecret) {
+        return false;
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep);
+
+    if (step === null) {
+        return false;
+    }
+
+    // Conditional so two concurrent requests with the same code can not both pass
+    const { count } = await prisma.user.updateMany({
+        where: {
+            id: user.id,
+            OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }],
+        },
+        data: { twoFactorLastUsedStep: step },
+    });
+
+    return count > 0;
+};
+
+const useRecoveryCode = async (user, recoveryCode) => {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+    const { count } = await prisma.recoveryCode.updateMany({
+        where: { userId: user.id, codeHash, usedAt: null },
+        data: { usedAt: new Date() },
+    });
+
+    return count > 0;
+};
+
+// Accepts either an authenticator `code` or a single-use `recoveryCode`
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        return verifyUserTotp(user, code);
+    }
+    if (recoveryCode) {
+        return useRecoveryCode(user, recoveryCode);
+    }
+    return Promise.resolve(false);
+};
+
+module.exports = {
+    replaceRecoveryCodes,
+    verifyUserTotp,
+    verifySecondFactor
+};
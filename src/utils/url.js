@@ -0,0 +1,18 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Base URL for links back to this API that are emailed or handed out to be shared. It has to be
+// configured: building it from the request's Host header would let a forged header point the
+// links at another site
+const apiUrl = () => {
+    const url = process.env.API_URL;
+    if (!url) {
+        throw new Error('API_URL is not set');
+    }
+    return url.replace(/\/+$/, '');
+};
+
+module.exports = {
+    apiUrl
+};